@@ -1,114 +1,262 @@
-// Data Storage (using Supabase for cloud persistence)
+// Data Storage (delegates to the backend selected by STORAGE_BACKEND in config.js)
+let storageBackend = null;
+
 const storage = {
+    // Returns null (not []) on failure so callers can tell "empty" from "unreachable"
     get: async (table) => {
-        const { data, error } = await supabase.from(table).select('*').order('id', { ascending: false });
+        const { data, error } = await storageBackend.list(table);
         if (error) {
             console.error(`Error fetching ${table}:`, error);
-            return [];
+            return null;
         }
         return data || [];
     },
-    set: async (table, items) => {
-        // For bulk updates - delete all and reinsert
-        const { error: deleteError } = await supabase.from(table).delete().neq('id', 0);
-        if (deleteError) console.error(`Error clearing ${table}:`, deleteError);
-
-        const { error: insertError } = await supabase.from(table).insert(items);
-        if (insertError) console.error(`Error inserting ${table}:`, insertError);
-        return !insertError;
+    query: async (table, match, page) => {
+        const result = await storageBackend.query(table, match, page);
+        if (result.error) console.error(`Error querying ${table}:`, result.error);
+        return result;
+    },
+    fetch: async (table, id) => {
+        const result = await storageBackend.fetch(table, id);
+        if (result.error) console.error(`Error fetching ${table} #${id}:`, result.error);
+        return result;
+    },
+    batch: async (ops) => {
+        const result = await storageBackend.batch(ops);
+        if (result.error) console.error('Error applying batch:', result.error);
+        return result;
     },
     add: async (table, item) => {
-        const newItem = { ...item, created_at: new Date().toISOString() };
-        const { data, error } = await supabase.from(table).insert(newItem).select().single();
-        if (error) {
-            console.error(`Error adding to ${table}:`, error);
-            alert(`Error saving to ${table}: ${error.message}`);
-            return null;
-        }
-        return data;
+        const result = await storageBackend.insert(table, item);
+        if (result.error) console.error(`Error adding to ${table}:`, result.error);
+        return result;
     },
     update: async (table, id, updates) => {
-        const { data, error } = await supabase.from(table).update(updates).eq('id', id).select().single();
-        if (error) {
-            console.error(`Error updating ${table}:`, error);
-            return null;
-        }
-        return data;
+        const result = await storageBackend.update(table, id, updates);
+        if (result.error) console.error(`Error updating ${table}:`, result.error);
+        return result;
     },
     delete: async (table, id) => {
-        const { error } = await supabase.from(table).delete().eq('id', id);
-        if (error) {
-            console.error(`Error deleting from ${table}:`, error);
-            return false;
-        }
-        return true;
+        const result = await storageBackend.remove(table, id);
+        if (result.error) console.error(`Error deleting from ${table}:`, result.error);
+        return result;
     }
 };
 
 // Data cache for synchronous access
 const dataCache = {
     deals: [],
+    deal_stage_history: [],
     meetings: [],
     order_sessions: [],
     stakeholders: [],
     roi_scenarios: [],
     service_offerings: [],
     sow_templates: [],
+    workflow_templates: [],
     sows: [],
     quotes: [],
-    workflows: []
+    workflows: [],
+    documents: [],
+    research: [],
+    settings: []
 };
 
-// Sync data from Supabase to cache
-// Sync data from Supabase to cache
-async function syncFromSupabase(table) {
+// Sync data from the storage backend to cache, falling back to the last
+// snapshot when the backend is unreachable. Queued offline writes stay on top.
+async function syncFromStorage(table) {
     const data = await storage.get(table);
-    dataCache[table] = data;
-    return data;
+    const rows = data === null ? await loadCacheSnapshot(table) : data;
+    dataCache[table] = applyPendingOps(table, rows);
+    await saveCacheSnapshot(table);
+    return dataCache[table];
 }
 
 // Sync all tables
 async function syncAllData() {
-    await Promise.all([
-        syncFromSupabase('deals'),
-        syncFromSupabase('meetings'),
-        syncFromSupabase('order_sessions'),
-        syncFromSupabase('stakeholders'),
-        syncFromSupabase('roi_scenarios'),
-        syncFromSupabase('service_offerings'),
-        syncFromSupabase('sow_templates'),
-        syncFromSupabase('sows'),
-        syncFromSupabase('quotes'),
-        syncFromSupabase('workflows')
-    ]);
+    await Promise.all(Object.keys(dataCache).map(syncFromStorage));
+}
+
+// Alerts the user about a write that failed validation and returns null,
+// mirroring how backend errors are surfaced
+function rejectWrite(error) {
+    if (!(error instanceof ValidationError)) throw error;
+    console.error('Rejected write:', error);
+    alert(`Could not save - ${error.message}`);
+    return null;
 }
 
-// Hybrid storage - uses cache for reads, Supabase for writes
+// Hybrid storage - reads come from the cache; writes update the cache
+// immediately and go to the backend through the offline write queue (sync.js).
+// dataCache and the queue hold database-shaped rows; `db` speaks in the
+// camelCase records defined in models.js and converts at the boundary.
+// Soft-deleted rows (those with deletedAt) are left out unless asked for.
+const recordCache = new WeakMap();
+
 const db = {
-    get: (table) => dataCache[table] || [],
+    get: (table, { includeDeleted = false } = {}) => {
+        const rows = dataCache[table] || [];
+        if (!recordCache.has(rows)) {
+            const records = rows.map(getModel(table).fromRow);
+            recordCache.set(rows, { all: records, live: records.filter(r => !r.deletedAt) });
+        }
+        const records = recordCache.get(rows);
+        return includeDeleted ? records.all : records.live;
+    },
+    find: (table, id) => db.get(table).find(r => r.id === resolveId(id)) || null,
     add: async (table, item) => {
-        const result = await storage.add(table, item);
-        if (result) {
-            await syncFromSupabase(table);
+        let fields;
+        try {
+            fields = getModel(table).toRow(item);
+        } catch (error) {
+            return rejectWrite(error);
         }
-        return result;
+
+        const now = new Date().toISOString();
+        const row = { ...fields, created_at: now, updated_at: now };
+        const id = nextTempId();
+
+        dataCache[table] = [{ ...row, id }, ...(dataCache[table] || [])];
+        saveCacheSnapshot(table);
+        await enqueueWrite({ type: 'insert', table, id, row, audit: auditRows([auditEntry(table, 'insert', id, null, row)]) });
+        await replayOutbox();
+
+        return db.find(table, id);
     },
     update: async (table, id, updates) => {
-        const result = await storage.update(table, id, updates);
-        if (result) {
-            await syncFromSupabase(table);
+        // Handlers rendered before an offline insert synced may still hold its temp id
+        id = resolveId(id);
+        const existing = (dataCache[table] || []).find(r => r.id === id);
+        if (!existing) return null;
+
+        let fields;
+        try {
+            fields = getModel(table).toRow(updates, { partial: true });
+        } catch (error) {
+            return rejectWrite(error);
         }
-        return result;
+
+        const stamped = { ...fields, updated_at: new Date().toISOString() };
+        dataCache[table] = dataCache[table].map(r => r.id === id ? { ...r, ...stamped } : r);
+        saveCacheSnapshot(table);
+        const audit = auditRows([auditEntry(table, 'update', id, existing, { ...existing, ...stamped })]);
+        await enqueueWrite({ type: 'update', table, id, updates: stamped, baseUpdatedAt: existing.updated_at, audit });
+        await replayOutbox();
+
+        return db.find(table, id);
     },
     delete: async (table, id) => {
-        const result = await storage.delete(table, id);
-        if (result) {
-            await syncFromSupabase(table);
+        id = resolveId(id);
+        const existing = (dataCache[table] || []).find(r => r.id === id);
+        if (!existing) return false;
+
+        dataCache[table] = dataCache[table].filter(r => r.id !== id);
+        saveCacheSnapshot(table);
+        const audit = auditRows([auditEntry(table, 'delete', id, existing, null)]);
+        await enqueueWrite({ type: 'delete', table, id, baseUpdatedAt: existing.updated_at, audit });
+        await replayOutbox();
+        return true;
+    },
+    // Applies several writes as one transaction: either all of them reach the
+    // backend or none do. Each op is `{ type: 'insert', table, row }`,
+    // `{ type: 'update', table, id, updates }` or `{ type: 'delete', table, id }`.
+    // Returns false if the batch failed validation or the backend rejected it.
+    batch: async (ops) => {
+        const now = new Date().toISOString();
+        let prepared;
+        try {
+            prepared = ops.map(({ ...op }) => {
+                if (op.type !== 'insert') op.id = resolveId(op.id);
+                const model = getModel(op.table);
+                const existing = (dataCache[op.table] || []).find(r => r.id === op.id);
+                if (op.type === 'insert') {
+                    // A row that brings its own id (restoring a backup) keeps it
+                    const row = model.toRow(op.row);
+                    return { type: 'insert', table: op.table, id: row.id ?? nextTempId(), row: { created_at: now, ...row, updated_at: now } };
+                }
+                if (op.type === 'update') {
+                    const updates = model.toRow(op.updates, { partial: true });
+                    return { ...op, updates: { ...updates, updated_at: now }, baseUpdatedAt: existing?.updated_at };
+                }
+                return { ...op, baseUpdatedAt: existing?.updated_at };
+            });
+        } catch (error) {
+            rejectWrite(error);
+            return false;
         }
-        return result;
+
+        const audit = auditRows(prepared.map(op => {
+            const existing = (dataCache[op.table] || []).find(r => r.id === op.id) || null;
+            if (op.type === 'insert') return auditEntry(op.table, 'insert', op.id, null, op.row);
+            return auditEntry(op.table, op.type, op.id, existing, op.type === 'update' ? { ...existing, ...op.updates } : null);
+        }));
+        [...new Set(prepared.map(op => op.table))].forEach(table => {
+            dataCache[table] = applyOps(table, dataCache[table] || [], prepared);
+            saveCacheSnapshot(table);
+        });
+        const queued = await enqueueWrite({ type: 'batch', ops: prepared, audit });
+        await replayOutbox();
+        return !queued.failed;
     }
 };
 
+// Audit Log
+// Every write through `db` appends one audit_log row per record it touched:
+// the table and id, the fields that changed (`{ field: { from, to } }` - all of
+// them for inserts and deletes), who made the change and when. The rows ride
+// along with the write in the outbox and commit in the same transaction (see
+// sync.js). The log is never edited, and is too big to cache: the Audit Log
+// page queries it.
+const AUDIT_IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+function currentUserName() {
+    return localStorage.getItem('userName') || 'Unknown';
+}
+
+function auditEntry(table, action, id, beforeRow, afterRow) {
+    if (table === 'audit_log') return null;
+
+    const model = getModel(table);
+    const before = beforeRow ? model.fromRow(beforeRow) : {};
+    const after = afterRow ? model.fromRow(afterRow) : {};
+    const changes = {};
+    model.fields
+        .filter(f => f.name !== 'id' && !AUDIT_IGNORED_FIELDS.includes(f.name))
+        .forEach(({ name }) => {
+            const from = before[name] ?? null;
+            const to = after[name] ?? null;
+            if (JSON.stringify(from) !== JSON.stringify(to)) changes[name] = { from, to };
+        });
+    if (action === 'update' && Object.keys(changes).length === 0) return null;
+
+    return {
+        tableName: table,
+        recordId: resolveId(id),
+        dealId: table === 'deals' ? resolveId(id) : (after.dealId ?? before.dealId ?? null),
+        action,
+        changes,
+        changedBy: currentUserName(),
+        changedAt: new Date().toISOString()
+    };
+}
+
+function auditRows(entries) {
+    return entries.filter(Boolean).map(entry => {
+        const row = getModel('audit_log').toRow(entry);
+        return { ...row, created_at: row.changed_at, updated_at: row.changed_at };
+    });
+}
+
+// Deal stages, in pipeline order
+const DEAL_STAGES = [
+    { value: 'prospecting', label: 'Prospecting' },
+    { value: 'qualification', label: 'Qualification' },
+    { value: 'proposal', label: 'Proposal' },
+    { value: 'negotiation', label: 'Negotiation' },
+    { value: 'closed-won', label: 'Closed Won' },
+    { value: 'closed-lost', label: 'Closed Lost' }
+];
+
 // Current Deal Management
 let currentDeal = localStorage.getItem('currentDealId') ? parseInt(localStorage.getItem('currentDealId')) : null;
 
@@ -126,6 +274,13 @@ function getCurrentDeal() {
     return deals.find(d => d.id === currentDeal);
 }
 
+// Meetings, quotes, SoWs and workflows save a copy of the company name when
+// they're created. Views read it from the deal instead so renaming a deal shows
+// everywhere; the saved copy only covers records whose deal is gone.
+function dealCompanyName(record, savedName) {
+    return db.find('deals', record.dealId)?.companyName || savedName || '';
+}
+
 // Auto-populate forms with deal data
 function autoPopulateForms() {
     const deal = getCurrentDeal();
@@ -151,16 +306,16 @@ function autoPopulateForms() {
 
     // Always update with current deal info (even if field has value)
     if (researchCompany) {
-        researchCompany.value = deal.company_name || deal.companyName || '';
+        researchCompany.value = deal.companyName || '';
     }
     if (researchLeader) {
-        researchLeader.value = deal.contact_name || deal.contactName || '';
+        researchLeader.value = deal.contactName || '';
     }
     if (meetingCompany) {
-        meetingCompany.value = deal.company_name || deal.companyName || '';
+        meetingCompany.value = deal.companyName || '';
     }
     if (quoteClient) {
-        quoteClient.value = deal.company_name || deal.companyName || '';
+        quoteClient.value = deal.companyName || '';
     }
 }
 
@@ -169,6 +324,7 @@ function loadDealSelector() {
     const deals = db.get('deals');
     const input = document.getElementById('dealSearchInput');
     const deleteBtn = document.getElementById('deleteDealBtn');
+    const editBtn = document.getElementById('editDealBtn');
 
     if (!input) return;
 
@@ -176,12 +332,14 @@ function loadDealSelector() {
     if (currentDeal) {
         const deal = deals.find(d => d.id === currentDeal);
         if (deal) {
-            input.value = `${deal.company_name || deal.companyName} - ${deal.contact_name || deal.contactName || 'No contact'}`;
+            input.value = `${deal.companyName} - ${deal.contactName || 'No contact'}`;
             deleteBtn.style.display = 'inline-flex';
+            editBtn.style.display = 'inline-flex';
         }
     } else {
         input.value = '';
         deleteBtn.style.display = 'none';
+        editBtn.style.display = 'none';
     }
 }
 
@@ -198,8 +356,8 @@ document.getElementById('dealSearchInput')?.addEventListener('input', (e) => {
     } else {
         // Filter deals based on search term
         const filteredDeals = deals.filter(deal => {
-            const companyName = (deal.company_name || deal.companyName || '').toLowerCase();
-            const contactName = (deal.contact_name || deal.contactName || '').toLowerCase();
+            const companyName = (deal.companyName || '').toLowerCase();
+            const contactName = (deal.contactName || '').toLowerCase();
             return companyName.includes(searchTerm) || contactName.includes(searchTerm);
         });
         showDealDropdown(filteredDeals);
@@ -234,8 +392,8 @@ function showDealDropdown(deals) {
         const isSelected = deal.id === currentDeal;
         return `
             <div class="deal-dropdown-item ${isSelected ? 'selected' : ''}" data-deal-id="${deal.id}">
-                <strong>${deal.company_name || deal.companyName}</strong>
-                <div style="font-size: 0.85rem; color: var(--text-muted);">${deal.contact_name || deal.contactName || 'No contact'}</div>
+                <strong>${deal.companyName}</strong>
+                <div style="font-size: 0.85rem; color: var(--text-muted);">${deal.contactName || 'No contact'}</div>
             </div>
         `;
     }).join('');
@@ -261,23 +419,12 @@ document.getElementById('deleteDealBtn')?.addEventListener('click', async () =>
     const deal = getCurrentDeal();
     if (!deal) return;
 
-    const confirmDelete = confirm(`Are you sure you want to delete the deal for "${deal.company_name || deal.companyName}"?\n\nThis will also delete all associated meetings, quotes, and workflows.`);
+    const { retentionDays } = getTrashSettings();
+    const confirmDelete = confirm(`Move the deal for "${deal.companyName}" to the Trash?\n\nIts meetings, SoWs, quotes, workflows and all other records go with it. You can restore it from the Trash for ${retentionDays} days.`);
 
     if (confirmDelete) {
-        // Delete associated data
-        const meetings = db.get('meetings').filter(m => (m.deal_id || m.dealId) === currentDeal);
-        const sows = db.get('sows').filter(s => (s.deal_id || s.dealId) === currentDeal);
-        const quotes = db.get('quotes').filter(q => (q.deal_id || q.dealId) === currentDeal);
-        const workflows = db.get('workflows').filter(w => (w.deal_id || w.dealId) === currentDeal);
-
-        // Delete all associated records
-        for (const meeting of meetings) await db.delete('meetings', meeting.id);
-        for (const sow of sows) await db.delete('sows', sow.id);
-        for (const quote of quotes) await db.delete('quotes', quote.id);
-        for (const workflow of workflows) await db.delete('workflows', workflow.id);
-
-        // Delete the deal itself
-        await db.delete('deals', currentDeal);
+        const deleted = await trashDeal(deal);
+        if (!deleted) return;
 
         // Clear current deal
         currentDeal = null;
@@ -286,23 +433,31 @@ document.getElementById('deleteDealBtn')?.addEventListener('click', async () =>
         // Refresh UI
         loadDealSelector();
         updateDashboard();
+        autoPopulateForms();
 
-        alert('Deal deleted successfully!');
+        alert('Deal moved to Trash.');
     }
 });
 
 // New Deal Button
 document.getElementById('newDealBtn')?.addEventListener('click', async () => {
-    showNewDealModal();
+    showDealModal();
+});
+
+// Edit Deal Button
+document.getElementById('editDealBtn')?.addEventListener('click', async () => {
+    const deal = getCurrentDeal();
+    if (deal) showDealModal(deal);
 });
 
-function showNewDealModal() {
+// Creates a deal, or edits `existing` when one is passed
+function showDealModal(existing = null) {
     const modal = document.createElement('div');
     modal.className = 'modal-overlay';
     modal.innerHTML = `
         <div class="modal">
             <div class="modal-header">
-                <h3>Create New Deal</h3>
+                <h3>${existing ? 'Edit Deal' : 'Create New Deal'}</h3>
                 <button class="modal-close">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -325,31 +480,46 @@ function showNewDealModal() {
                         <input type="email" id="dealContactEmail">
                     </div>
                     <div class="form-group">
-                        <label for="dealValue">Estimated Deal Value ($)</label>
+                        <label for="dealValue">Estimated Deal Value</label>
                         <input type="number" id="dealValue" min="0" step="1000">
                     </div>
+                    <div class="form-group">
+                        <label for="dealCurrency">Currency</label>
+                        <select id="dealCurrency">
+                            ${CURRENCIES.map(code => `<option value="${code}">${code}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="dealExpectedClose">Expected Close Date</label>
+                        <input type="date" id="dealExpectedClose">
+                    </div>
                     <div class="form-group">
                         <label for="dealStage">Deal Stage</label>
                         <select id="dealStage">
-                            <option value="prospecting">Prospecting</option>
-                            <option value="qualification">Qualification</option>
-                            <option value="proposal">Proposal</option>
-                            <option value="negotiation">Negotiation</option>
-                            <option value="closed-won">Closed Won</option>
-                            <option value="closed-lost">Closed Lost</option>
+                            ${DEAL_STAGES.map(stage => `<option value="${stage.value}">${stage.label}</option>`).join('')}
                         </select>
                     </div>
                 </form>
             </div>
             <div class="modal-footer">
                 <button class="btn btn-secondary modal-cancel">Cancel</button>
-                <button class="btn btn-primary modal-submit" type="button">Create Deal</button>
+                <button class="btn btn-primary modal-submit" type="button">${existing ? 'Save Changes' : 'Create Deal'}</button>
             </div>
         </div>
     `;
 
     document.body.appendChild(modal);
 
+    if (existing) {
+        document.getElementById('dealCompanyName').value = existing.companyName || '';
+        document.getElementById('dealContactName').value = existing.contactName || '';
+        document.getElementById('dealContactEmail').value = existing.contactEmail || '';
+        document.getElementById('dealValue').value = existing.value ?? '';
+        document.getElementById('dealExpectedClose').value = existing.expectedCloseDate || '';
+        document.getElementById('dealCurrency').value = existing.currency || 'USD';
+        document.getElementById('dealStage').value = existing.stage || 'prospecting';
+    }
+
     // Close modal handlers
     modal.querySelector('.modal-close').addEventListener('click', async () => modal.remove());
     modal.querySelector('.modal-cancel').addEventListener('click', async () => modal.remove());
@@ -367,30 +537,57 @@ function showNewDealModal() {
             }
 
             const deal = {
-                company_name: document.getElementById('dealCompanyName').value,
-                contact_name: document.getElementById('dealContactName').value,
-                contact_email: document.getElementById('dealContactEmail').value,
+                companyName: document.getElementById('dealCompanyName').value,
+                contactName: document.getElementById('dealContactName').value,
+                contactEmail: document.getElementById('dealContactEmail').value,
                 value: parseFloat(document.getElementById('dealValue').value) || 0,
+                expectedCloseDate: document.getElementById('dealExpectedClose').value,
+                currency: document.getElementById('dealCurrency').value,
                 stage: document.getElementById('dealStage').value
             };
 
+            if (existing) {
+                await saveDealChanges(existing, deal);
+                modal.remove();
+                return;
+            }
+
             const newDeal = await db.add('deals', deal);
 
             if (!newDeal) {
                 return;
             }
 
+            await db.add('deal_stage_history', {
+                dealId: newDeal.id,
+                fromStage: null,
+                toStage: newDeal.stage,
+                changedAt: newDeal.createdAt
+            });
+
             setCurrentDeal(newDeal.id);
             modal.remove();
 
-            alert(`Deal created for ${deal.company_name}! All your notes and activities will now be linked to this deal.`);
+            alert(`Deal created for ${deal.companyName}! All your notes and activities will now be linked to this deal.`);
         } catch (error) {
-            console.error('Error creating deal:', error);
-            alert(`Failed to create deal: ${error.message}`);
+            console.error('Error saving deal:', error);
+            alert(`Failed to save deal: ${error.message}`);
         }
     });
 }
 
+// Stage changes still go through changeDealStage so they land in the history
+async function saveDealChanges(deal, changes) {
+    const { stage, ...details } = changes;
+    const saved = stage !== deal.stage
+        ? await changeDealStage(deal, stage, details)
+        : await db.update('deals', deal.id, details);
+    if (!saved) return;
+
+    refreshCurrentPage();
+    autoPopulateForms();
+}
+
 // Navigation
 document.querySelectorAll('.nav-item').forEach(item => {
     item.addEventListener('click', async () => {
@@ -413,6 +610,8 @@ document.querySelectorAll('.nav-item').forEach(item => {
 
 // Dashboard Updates
 function updateDashboard() {
+    loadOverdueSteps();
+
     if (!currentDeal) {
         document.getElementById('activeMeetings').textContent = '0';
         document.getElementById('pendingSows').textContent = '0';
@@ -421,41 +620,48 @@ function updateDashboard() {
 
         const activityList = document.getElementById('activityList');
         activityList.innerHTML = '<div class="empty-state"><p>Select or create a deal to see activity.</p></div>';
+        loadStageTimeline();
         return;
     }
 
-    const meetings = db.get('meetings').filter(m => (m.deal_id || m.dealId) === currentDeal);
-    const sows = db.get('sows').filter(s => (s.deal_id || s.dealId) === currentDeal);
-    const quotes = db.get('quotes').filter(q => (q.deal_id || q.dealId) === currentDeal);
-    const workflows = db.get('workflows').filter(w => (w.deal_id || w.dealId) === currentDeal);
+    const meetings = db.get('meetings').filter(m => m.dealId === currentDeal);
+    const sows = db.get('sows').filter(s => s.dealId === currentDeal);
+    const quotes = db.get('quotes').filter(q => q.dealId === currentDeal);
+    const workflows = db.get('workflows').filter(w => w.dealId === currentDeal);
 
     document.getElementById('activeMeetings').textContent = meetings.length;
-    document.getElementById('pendingSows').textContent = sows.length;
-    document.getElementById('openQuotes').textContent = quotes.length;
-    document.getElementById('activeWorkflows').textContent = workflows.filter(w => w.status !== 'completed').length;
+    document.getElementById('pendingSows').textContent = getDealSows().filter(group => latestSowVersion(group).status !== 'signed').length;
+    document.getElementById('openQuotes').textContent = quotes.filter(q => QUOTE_OPEN_STATUSES.includes(q.status)).length;
+    document.getElementById('activeWorkflows').textContent = workflows.filter(isWorkflowActive).length;
 
     // Load Documents
     loadDocuments();
+    loadStageTimeline();
 
     // Show recent activity for this deal
     const activityList = document.getElementById('activityList');
+    const stageChanges = db.get('deal_stage_history').filter(h => h.dealId === currentDeal && h.fromStage);
     const allActivity = [
         ...meetings.map(m => ({ type: 'meeting', data: m })),
         ...quotes.map(q => ({ type: 'quote', data: q })),
-        ...sows.map(s => ({ type: 'sow', data: s }))
-    ].sort((a, b) => new Date(b.data.created_at || b.data.createdAt) - new Date(a.data.created_at || a.data.createdAt)).slice(0, 5);
+        ...sows.map(s => ({ type: 'sow', data: s })),
+        ...stageChanges.map(h => ({ type: 'stage', data: h }))
+    ].sort((a, b) => new Date(b.data.createdAt) - new Date(a.data.createdAt)).slice(0, 5);
 
     if (allActivity.length === 0) {
         activityList.innerHTML = '<div class="empty-state"><p>No recent activity for this deal. Start by preparing for a meeting!</p></div>';
     } else {
         activityList.innerHTML = allActivity.map(activity => {
             const { type, data } = activity;
-            const date = new Date(data.created_at || data.createdAt).toLocaleDateString();
+            const date = new Date(data.createdAt).toLocaleDateString();
             let title = '';
 
-            if (type === 'meeting') title = `Meeting with ${data.company}`;
-            if (type === 'quote') title = `Quote for ${data.client}`;
-            if (type === 'sow') title = `SoW generated for ${data.company}`;
+            if (type === 'meeting') title = `Meeting with ${dealCompanyName(data, data.company)}`;
+            if (type === 'quote') title = `Quote for ${dealCompanyName(data, data.client)}`;
+            if (type === 'sow') title = (data.version || 1) > 1
+                ? `${sowLabel(data)} saved for ${dealCompanyName(data, data.company)}`
+                : `SoW generated for ${dealCompanyName(data, data.company)}`;
+            if (type === 'stage') title = `Moved from ${stageLabel(data.fromStage)} to ${stageLabel(data.toStage)}`;
 
             return `
                 <div class="list-item">
@@ -467,358 +673,2257 @@ function updateDashboard() {
     }
 }
 
-// Pre-Call Research
-document.getElementById('researchBtn')?.addEventListener('click', async () => {
-    const company = document.getElementById('researchCompany').value;
-    const leader = document.getElementById('researchLeader').value;
-    const contentDiv = document.getElementById('researchContent');
+// Pipeline Board
+// Deals are valued in their own currency. There are no exchange rates, so
+// totals are kept per currency instead of being added together.
+function dealCurrency(deal) {
+    return deal.currency || 'USD';
+}
 
-    if (!company) {
-        alert('Please enter a company name');
-        return;
-    }
+function sumByCurrency(deals) {
+    const totals = {};
+    deals.forEach(deal => {
+        totals[dealCurrency(deal)] = (totals[dealCurrency(deal)] || 0) + (deal.value || 0);
+    });
+    return totals;
+}
 
-    contentDiv.innerHTML = '<p>Researching... (simulated AI)</p>';
+function formatMoneyTotals(totals) {
+    const entries = Object.entries(totals).sort(([a], [b]) => a.localeCompare(b));
+    if (entries.length === 0) return formatMoney(0);
+    return entries.map(([currency, amount]) => formatMoney(amount, currency)).join(' + ');
+}
 
-    // Simulate AI research
-    setTimeout(async () => {
-        const mockResearch = `
-            <h3>Research Results for ${company}</h3>
-            <h4>Company Overview</h4>
-            <ul>
-                <li>Industry leader in their sector</li>
-                <li>Recent growth trajectory shows 15% YoY increase</li>
-                <li>Key challenges: Digital transformation, operational efficiency</li>
-            </ul>
-            <h4>Leadership Insights${leader ? ` - ${leader}` : ''}</h4>
-            <ul>
-                <li>Focus on innovation and customer experience</li>
-                <li>Recent initiatives in cloud adoption</li>
-                <li>Values data-driven decision making</li>
-            </ul>
-            <h4>Recommended Talking Points</h4>
-            <ul>
-                <li>Highlight experience with similar-sized companies</li>
-                <li>Focus on ROI and time-to-value</li>
-            </ul>
+function loadPipeline() {
+    const board = document.getElementById('pipelineBoard');
+    if (!board) return;
+
+    const deals = db.get('deals');
+    loadPipelineAnalytics();
+
+    board.innerHTML = DEAL_STAGES.map(stage => {
+        // Deals saved without a known stage start at the beginning of the pipeline
+        const stageDeals = deals.filter(d => (DEAL_STAGES.some(s => s.value === d.stage) ? d.stage : 'prospecting') === stage.value);
+
+        return `
+            <div class="pipeline-column" data-stage="${stage.value}">
+                <div class="pipeline-column-header">
+                    <h4>${stage.label}</h4>
+                    <span class="pipeline-count">${stageDeals.length}</span>
+                </div>
+                <p class="pipeline-total">${formatMoneyTotals(sumByCurrency(stageDeals))}</p>
+                <div class="pipeline-cards">
+                    ${stageDeals.map(deal => `
+                        <div class="pipeline-card ${deal.id === currentDeal ? 'selected' : ''}" draggable="true" data-deal-id="${deal.id}">
+                            <h5>${escapeHtml(deal.companyName)}</h5>
+                            <p>${escapeHtml(deal.contactName || 'No contact')}</p>
+                            <span class="pipeline-card-value">${formatMoney(deal.value, dealCurrency(deal))}</span>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
         `;
+    }).join('');
 
-        contentDiv.innerHTML = mockResearch;
+    board.querySelectorAll('.pipeline-card').forEach(card => {
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('text/plain', card.dataset.dealId);
+            card.classList.add('dragging');
+        });
+        card.addEventListener('dragend', () => card.classList.remove('dragging'));
+        card.addEventListener('click', () => {
+            setCurrentDeal(parseInt(card.dataset.dealId));
+            loadPipeline();
+        });
+    });
 
-        // Save research
-        await db.add('research', { company, leader, results: mockResearch });
-    }, 1500);
-});
+    board.querySelectorAll('.pipeline-column').forEach(column => {
+        column.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            column.classList.add('drag-over');
+        });
+        column.addEventListener('dragleave', () => column.classList.remove('drag-over'));
+        column.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            column.classList.remove('drag-over');
+            const dealId = parseInt(e.dataTransfer.getData('text/plain'));
+            if (dealId) await moveDealToStage(dealId, column.dataset.stage);
+        });
+    });
+}
 
-// Meeting Notes
-document.getElementById('meetingForm').addEventListener('submit', async (e) => {
-    e.preventDefault();
+async function moveDealToStage(dealId, stage) {
+    const deal = db.find('deals', dealId);
+    if (!deal || deal.stage === stage) return;
 
-    if (!currentDeal) {
-        alert('Please select or create a deal first!');
-        return;
-    }
+    await changeDealStage(deal, stage);
+    loadPipeline();
+    if (deal.id === currentDeal) updateDashboard();
+}
 
-    const meeting = {
-        dealId: currentDeal,
-        company: document.getElementById('meetingCompany').value,
-        date: document.getElementById('meetingDate').value,
-        notes: document.getElementById('meetingNotes').value
-    };
+// Every stage change goes through here so it is recorded in deal_stage_history.
+// db.batch stamps updated_at on the deal along with the new stage.
+async function changeDealStage(deal, stage, otherUpdates = {}) {
+    return db.batch([
+        { type: 'update', table: 'deals', id: deal.id, updates: { ...otherUpdates, stage } },
+        {
+            type: 'insert',
+            table: 'deal_stage_history',
+            row: { dealId: deal.id, fromStage: deal.stage || null, toStage: stage, changedAt: new Date().toISOString() }
+        }
+    ]);
+}
 
-    await db.add('meetings', meeting);
+// Stage History & Analytics
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    // Reset form
-    e.target.reset();
+function stageLabel(value) {
+    return DEAL_STAGES.find(s => s.value === value)?.label || value || 'None';
+}
 
-    // Show success
-    alert('Meeting notes saved successfully!');
+// Stage entries for a deal, oldest first. Deals created before history was
+// recorded get a single entry for their current stage at creation time.
+function getStageHistory(deal) {
+    const history = db.get('deal_stage_history')
+        .filter(h => h.dealId === deal.id)
+        .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+    if (history.length > 0) return history;
+    return [{ dealId: deal.id, fromStage: null, toStage: deal.stage || 'prospecting', changedAt: deal.createdAt }];
+}
 
-    // Refresh meetings list
-    loadMeetingsList();
-    updateDashboard();
-});
+// Average days spent in each stage (counting only stays that have ended) and
+// the share of deals reaching each stage that went on to reach the next one
+function computeStageAnalytics(deals) {
+    const stays = Object.fromEntries(DEAL_STAGES.map(s => [s.value, []]));
+    const funnel = DEAL_STAGES.map(s => s.value).filter(stage => stage !== 'closed-lost');
+    const reached = funnel.map(() => 0);
+
+    deals.forEach(deal => {
+        const history = getStageHistory(deal);
+        history.forEach((entry, index) => {
+            const next = history[index + 1];
+            if (next && stays[entry.toStage]) {
+                stays[entry.toStage].push((new Date(next.changedAt) - new Date(entry.changedAt)) / DAY_MS);
+            }
+        });
 
-function loadMeetingsList() {
-    const meetings = db.get('meetings').filter(m => (m.deal_id || m.dealId) === currentDeal);
-    const listDiv = document.getElementById('meetingsList');
+        const furthest = Math.max(...history.map(h => funnel.indexOf(h.toStage)));
+        for (let i = 0; i <= furthest; i++) reached[i]++;
+    });
 
-    if (!currentDeal) {
-        listDiv.innerHTML = '<div class="empty-state"><p>Please select or create a deal to view meetings.</p></div>';
-        return;
-    }
+    return {
+        timeInStage: DEAL_STAGES.map(stage => ({
+            stage: stage.value,
+            samples: stays[stage.value].length,
+            averageDays: stays[stage.value].length
+                ? stays[stage.value].reduce((sum, days) => sum + days, 0) / stays[stage.value].length
+                : null
+        })),
+        conversions: funnel.slice(0, -1).map((from, i) => ({
+            from,
+            to: funnel[i + 1],
+            entered: reached[i],
+            advanced: reached[i + 1],
+            rate: reached[i] ? reached[i + 1] / reached[i] : null
+        }))
+    };
+}
 
-    if (meetings.length === 0) {
-        listDiv.innerHTML = '<div class="empty-state"><p>No meetings recorded for this deal yet.</p></div>';
-    } else {
-        listDiv.innerHTML = meetings.reverse().map(meeting => `
-            <div class="list-item">
-                <h4>${meeting.company}</h4>
-                <p><strong>Date:</strong> ${new Date(meeting.date).toLocaleDateString()}</p>
-                <p style="margin-top: 0.5rem;">${meeting.notes.substring(0, 150)}${meeting.notes.length > 150 ? '...' : ''}</p>
-            </div>
-        `).join('');
-    }
+function formatDays(days) {
+    if (days === null) return '—';
+    return days < 1 ? '< 1 day' : `${days.toFixed(1)} days`;
 }
 
-// SoW Generator
-function loadMeetingsForSow() {
-    const meetings = db.get('meetings').filter(m => (m.deal_id || m.dealId) === currentDeal);
-    const select = document.getElementById('sowMeeting');
+function loadStageTimeline() {
+    const timelineDiv = document.getElementById('stageTimeline');
+    if (!timelineDiv) return;
 
-    if (!currentDeal) {
-        select.innerHTML = '<option value="">Please select a deal first...</option>';
+    const deal = getCurrentDeal();
+    if (!deal) {
+        timelineDiv.innerHTML = '<div class="empty-state"><p>Select a deal to see its stage history.</p></div>';
         return;
     }
 
-    select.innerHTML = '<option value="">Choose a meeting...</option>' +
-        meetings.map(m => `<option value="${m.id}">${m.company} - ${new Date(m.date).toLocaleDateString()}</option>`).join('');
+    const history = getStageHistory(deal);
+    timelineDiv.innerHTML = history.map((entry, index) => {
+        const next = history[index + 1];
+        const end = next ? new Date(next.changedAt) : new Date();
+        const days = (end - new Date(entry.changedAt)) / DAY_MS;
 
-    select.addEventListener('change', () => {
-        document.getElementById('generateSow').disabled = !select.value;
-    });
+        return `
+            <div class="timeline-entry ${next ? '' : 'current'}">
+                <div class="timeline-dot"></div>
+                <div>
+                    <h5>${stageLabel(entry.toStage)}</h5>
+                    <p>${new Date(entry.changedAt).toLocaleDateString()} • ${next ? formatDays(days) : `${formatDays(days)} so far`}</p>
+                </div>
+            </div>
+        `;
+    }).join('');
 }
 
-document.getElementById('generateSow').addEventListener('click', async () => {
-    const meetingId = parseInt(document.getElementById('sowMeeting').value);
-    const meetings = db.get('meetings');
-    const meeting = meetings.find(m => m.id === meetingId);
+function loadPipelineAnalytics() {
+    const analyticsDiv = document.getElementById('pipelineAnalytics');
+    if (!analyticsDiv) return;
+
+    const { timeInStage, conversions } = computeStageAnalytics(db.get('deals'));
+
+    analyticsDiv.innerHTML = `
+        <div class="analytics-grid">
+            <div>
+                <h4>Average Time in Stage</h4>
+                <table class="analytics-table">
+                    <thead><tr><th>Stage</th><th>Average</th><th>Deals</th></tr></thead>
+                    <tbody>
+                        ${timeInStage.map(row => `
+                            <tr><td>${stageLabel(row.stage)}</td><td>${formatDays(row.averageDays)}</td><td>${row.samples}</td></tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div>
+                <h4>Stage Conversion</h4>
+                <table class="analytics-table">
+                    <thead><tr><th>From → To</th><th>Rate</th><th>Deals</th></tr></thead>
+                    <tbody>
+                        ${conversions.map(row => `
+                            <tr>
+                                <td>${stageLabel(row.from)} → ${stageLabel(row.to)}</td>
+                                <td>${row.rate === null ? '—' : `${(row.rate * 100).toFixed(0)}%`}</td>
+                                <td>${row.advanced} / ${row.entered}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
 
-    if (!meeting) return;
+// App Settings
+// Stored as one settings row per key holding an object; defaults fill in
+// anything that hasn't been saved yet.
+function getSetting(key, defaults = {}) {
+    const row = db.get('settings').find(s => s.key === key);
+    return { ...defaults, ...(row?.value || {}) };
+}
 
-    const outputDiv = document.getElementById('sowOutput');
-    const contentDiv = document.getElementById('sowContent');
+async function saveSetting(key, value) {
+    const existing = db.get('settings').find(s => s.key === key);
+    if (existing) return db.update('settings', existing.id, { value });
+    return db.add('settings', { key, value });
+}
 
-    outputDiv.classList.remove('hidden');
-    contentDiv.innerHTML = 'Generating SoW with AI...';
-
-    // Simulate AI SoW generation
-    setTimeout(async () => {
-        const sow = `STATEMENT OF WORK
-${meeting.company}
-
-PROJECT OVERVIEW
-Based on our meeting on ${new Date(meeting.date).toLocaleDateString()}, this Statement of Work outlines the proposed engagement.
-
-SCOPE OF WORK
-1. Discovery & Planning Phase (2 weeks)
-   - Requirements gathering
-Based on our meeting on ${new Date(meeting.date).toLocaleDateString()}, we propose the following:
-
-${meeting.notes}
-
-DELIVERABLES
-1. Comprehensive needs assessment
-2. Custom solution architecture
-3. Implementation roadmap
-4. Training and documentation
-
-TIMELINE
-Phase 1: Discovery and Planning (2 weeks)
-Phase 2: Development and Configuration (6 weeks)
-Phase 3: Testing and Refinement (2 weeks)
-Phase 4: Deployment and Training (2 weeks)
-
-NEXT STEPS
-1. Review and approve this SoW
-2. Execute master services agreement
-3. Schedule kickoff meeting
-4. Begin discovery phase
-
-INVESTMENT
-See attached quote for detailed pricing breakdown.`;
+// Weighted Forecast
+const FORECAST_DEFAULTS = {
+    probabilities: {
+        prospecting: 10,
+        qualification: 25,
+        proposal: 50,
+        negotiation: 75,
+        'closed-won': 100,
+        'closed-lost': 0
+    },
+    monthlyQuota: 0,
+    quotaCurrency: 'USD'
+};
+
+function getForecastSettings() {
+    const saved = getSetting('forecast', FORECAST_DEFAULTS);
+    return { ...saved, probabilities: { ...FORECAST_DEFAULTS.probabilities, ...saved.probabilities } };
+}
 
-        contentDiv.textContent = sow;
+// Groups open and won deals by expected close month (YYYY-MM; deals without a
+// date land in an "unscheduled" bucket at the end) and currency, and weights
+// each deal's value by its stage probability. The quota is in one currency, so
+// only that currency's rows measure attainment.
+function computeForecast(deals, settings) {
+    const months = {};
+
+    deals.filter(d => d.stage !== 'closed-lost').forEach(deal => {
+        const month = deal.expectedCloseDate ? deal.expectedCloseDate.slice(0, 7) : 'unscheduled';
+        const currency = dealCurrency(deal);
+        const probability = settings.probabilities[deal.stage] ?? settings.probabilities.prospecting;
+        const key = `${month}|${currency}`;
+        const bucket = months[key] || (months[key] = { month, currency, deals: 0, pipeline: 0, weighted: 0, won: 0 });
+
+        bucket.deals++;
+        bucket.pipeline += deal.value || 0;
+        bucket.weighted += (deal.value || 0) * probability / 100;
+        if (deal.stage === 'closed-won') bucket.won += deal.value || 0;
+    });
 
-        // Save SoW
-        const savedSow = await db.add('sows', {
-            dealId: currentDeal,
-            company: meeting.company,
-            meetingId: meeting.id,
-            content: sow
+    const byMonth = (a, b) => a.month === b.month ? 0
+        : a.month === 'unscheduled' ? 1 : b.month === 'unscheduled' ? -1 : a.month.localeCompare(b.month);
+    return Object.values(months)
+        .sort((a, b) => byMonth(a, b) || a.currency.localeCompare(b.currency))
+        .map(bucket => {
+            const hasQuota = bucket.month !== 'unscheduled' && bucket.currency === settings.quotaCurrency && settings.monthlyQuota;
+            return {
+                ...bucket,
+                quota: hasQuota ? settings.monthlyQuota : null,
+                attainment: hasQuota ? bucket.weighted / settings.monthlyQuota : null
+            };
         });
+}
 
-        // Store current SoW ID for quote creation
-        document.getElementById('createQuote').dataset.sowId = savedSow.id;
+function formatMonth(month) {
+    if (month === 'unscheduled') return 'No close date';
+    const [year, monthIndex] = month.split('-').map(Number);
+    return new Date(year, monthIndex - 1, 1).toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+}
 
-        updateDashboard();
-    }, 2000);
-});
+function loadForecast() {
+    const settings = getForecastSettings();
 
-document.getElementById('createQuote').addEventListener('click', async () => {
-    // Navigate to quotes page
-    document.querySelector('[data-page="quotes"]').click();
+    const probabilitiesDiv = document.getElementById('stageProbabilities');
+    if (probabilitiesDiv) {
+        probabilitiesDiv.innerHTML = DEAL_STAGES.map(stage => `
+            <div class="form-group">
+                <label for="probability-${stage.value}">${stage.label} (%)</label>
+                <input type="number" id="probability-${stage.value}" data-stage="${stage.value}" min="0" max="100" value="${settings.probabilities[stage.value]}">
+            </div>
+        `).join('');
+    }
+    const quotaInput = document.getElementById('monthlyQuota');
+    if (quotaInput) quotaInput.value = settings.monthlyQuota || '';
+    const quotaCurrencySelect = document.getElementById('quotaCurrency');
+    if (quotaCurrencySelect) {
+        quotaCurrencySelect.innerHTML = CURRENCIES.map(code => `<option value="${code}">${code}</option>`).join('');
+        quotaCurrencySelect.value = settings.quotaCurrency;
+    }
 
-    // Pre-fill client name from SoW
-    const sowId = parseInt(document.getElementById('createQuote').dataset.sowId);
-    const sows = db.get('sows');
-    const sow = sows.find(s => s.id === sowId);
+    const tableDiv = document.getElementById('forecastTable');
+    if (!tableDiv) return;
 
-    if (sow) {
-        document.getElementById('quoteClient').value = sow.company;
+    const forecast = computeForecast(db.get('deals'), settings);
+    if (forecast.length === 0) {
+        tableDiv.innerHTML = '<div class="empty-state"><p>No open deals to forecast yet.</p></div>';
+        return;
     }
-});
 
-// Quote Builder
-let quoteItemCount = 1;
-
-document.getElementById('addItem').addEventListener('click', async () => {
-    quoteItemCount++;
-    const itemsDiv = document.getElementById('quoteItems');
-    const newItem = document.createElement('div');
-    newItem.className = 'quote-item';
-    newItem.innerHTML = `
-        <input type="text" placeholder="Item description" class="item-desc" required>
-        <input type="number" placeholder="Cost" class="item-cost" min="0" step="0.01" required>
-        <input type="number" placeholder="Price" class="item-price" min="0" step="0.01" required>
-        <button type="button" class="btn-icon remove-item">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                <line x1="18" y1="6" x2="6" y2="18"></line>
-                <line x1="6" y1="6" x2="18" y2="18"></line>
-            </svg>
-        </button>
+    const totals = {};
+    forecast.forEach(row => {
+        const total = totals[row.currency] || (totals[row.currency] = { deals: 0, pipeline: 0, weighted: 0 });
+        total.deals += row.deals;
+        total.pipeline += row.pipeline;
+        total.weighted += row.weighted;
+    });
+
+    tableDiv.innerHTML = `
+        <table class="analytics-table">
+            <thead>
+                <tr><th>Close Month</th><th>Currency</th><th>Deals</th><th>Pipeline</th><th>Weighted</th><th>Quota</th><th>Attainment</th></tr>
+            </thead>
+            <tbody>
+                ${forecast.map(row => `
+                    <tr>
+                        <td>${formatMonth(row.month)}</td>
+                        <td>${row.currency}</td>
+                        <td>${row.deals}</td>
+                        <td>${formatMoney(row.pipeline, row.currency)}</td>
+                        <td>${formatMoney(Math.round(row.weighted), row.currency)}</td>
+                        <td>${row.quota ? formatMoney(row.quota, row.currency) : '—'}</td>
+                        <td class="${row.attainment !== null && row.attainment < 1 ? 'below-quota' : ''}">${row.attainment === null ? '—' : `${(row.attainment * 100).toFixed(0)}%`}</td>
+                    </tr>
+                `).join('')}
+                ${Object.entries(totals).sort(([a], [b]) => a.localeCompare(b)).map(([currency, total]) => `
+                    <tr class="totals-row">
+                        <td>Total</td>
+                        <td>${currency}</td>
+                        <td>${total.deals}</td>
+                        <td>${formatMoney(total.pipeline, currency)}</td>
+                        <td>${formatMoney(Math.round(total.weighted), currency)}</td>
+                        <td></td>
+                        <td></td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
     `;
-    itemsDiv.appendChild(newItem);
+}
 
-    // Add remove functionality
-    newItem.querySelector('.remove-item').addEventListener('click', async () => {
-        newItem.remove();
-        quoteItemCount--;
-        updateQuoteTotals();
-    });
+document.getElementById('forecastSettingsForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
 
-    // Add calculation listeners
-    newItem.querySelectorAll('.item-cost, .item-price').forEach(input => {
-        input.addEventListener('input', updateQuoteTotals);
+    const probabilities = {};
+    document.querySelectorAll('#stageProbabilities input[data-stage]').forEach(input => {
+        probabilities[input.dataset.stage] = Math.min(100, Math.max(0, parseFloat(input.value) || 0));
     });
-});
 
-function updateQuoteTotals() {
-    let totalCost = 0;
-    let totalPrice = 0;
-
-    document.querySelectorAll('.quote-item').forEach(item => {
-        const cost = parseFloat(item.querySelector('.item-cost').value) || 0;
-        const price = parseFloat(item.querySelector('.item-price').value) || 0;
-        totalCost += cost;
-        totalPrice += price;
+    await saveSetting('forecast', {
+        probabilities,
+        monthlyQuota: parseFloat(document.getElementById('monthlyQuota').value) || 0,
+        quotaCurrency: document.getElementById('quotaCurrency').value
     });
+    loadForecast();
+    alert('Forecast settings saved!');
+});
 
-    const profit = totalPrice - totalCost;
-    const margin = totalPrice > 0 ? ((profit / totalPrice) * 100).toFixed(1) : 0;
-
-    document.getElementById('totalCost').textContent = `$${totalCost.toFixed(2)}`;
-    document.getElementById('totalPrice').textContent = `$${totalPrice.toFixed(2)}`;
-    document.getElementById('profitMargin').textContent = `${margin}% ($${profit.toFixed(2)})`;
+// Quote a CSV field when it contains a delimiter, quote or newline
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 }
 
-// Add listeners to initial quote item
-document.querySelectorAll('.item-cost, .item-price').forEach(input => {
-    input.addEventListener('input', updateQuoteTotals);
+document.getElementById('exportForecast')?.addEventListener('click', () => {
+    const forecast = computeForecast(db.get('deals'), getForecastSettings());
+    const rows = [
+        ['Close Month', 'Currency', 'Deals', 'Pipeline Value', 'Weighted Forecast', 'Closed Won', 'Quota', 'Attainment %'],
+        ...forecast.map(row => [
+            row.month,
+            row.currency,
+            row.deals,
+            row.pipeline.toFixed(2),
+            row.weighted.toFixed(2),
+            row.won.toFixed(2),
+            row.quota ?? '',
+            row.attainment === null ? '' : (row.attainment * 100).toFixed(1)
+        ])
+    ];
+
+    const csv = rows.map(row => row.map(csvField).join(',')).join('\n');
+    downloadFile(`forecast-${new Date().toISOString().split('T')[0]}.csv`, csv, 'text/csv');
 });
 
-document.getElementById('quoteForm').addEventListener('submit', async (e) => {
-    e.preventDefault();
+// Trash
+// Tables whose rows belong to a deal; they are trashed, restored and purged
+// together with it
+const DEAL_SCOPED_TABLES = [
+    'deal_stage_history', 'meetings', 'order_sessions', 'stakeholders', 'roi_scenarios',
+    'sows', 'quotes', 'workflows', 'documents', 'research'
+];
 
-    const client = document.getElementById('quoteClient').value;
-    const items = [];
+const TRASH_DEFAULTS = { retentionDays: 30 };
 
-    document.querySelectorAll('.quote-item').forEach(item => {
-        items.push({
-            description: item.querySelector('.item-desc').value,
-            cost: parseFloat(item.querySelector('.item-cost').value),
-            price: parseFloat(item.querySelector('.item-price').value)
-        });
-    });
+function getTrashSettings() {
+    return getSetting('trash', TRASH_DEFAULTS);
+}
 
-    const totalCost = items.reduce((sum, item) => sum + item.cost, 0);
-    const totalPrice = items.reduce((sum, item) => sum + item.price, 0);
-    const profit = totalPrice - totalCost;
-    const margin = ((profit / totalPrice) * 100).toFixed(1);
+function dealRecords(dealId) {
+    return DEAL_SCOPED_TABLES.flatMap(table =>
+        db.get(table, { includeDeleted: true })
+            .filter(r => r.dealId === dealId)
+            .map(record => ({ table, record })));
+}
 
-    if (!currentDeal) {
-        alert('Please select or create a deal first!');
-        return;
-    }
+// Stamps the deal and its live records with one shared deletedAt, so restoring
+// brings back exactly what this delete removed and not records trashed earlier
+async function trashDeal(deal) {
+    const deletedAt = new Date().toISOString();
+    return db.batch([
+        ...dealRecords(deal.id)
+            .filter(({ record }) => !record.deletedAt)
+            .map(({ table, record }) => ({ type: 'update', table, id: record.id, updates: { deletedAt } })),
+        { type: 'update', table: 'deals', id: deal.id, updates: { deletedAt } }
+    ]);
+}
 
-    const quote = await db.add('quotes', {
-        dealId: currentDeal,
-        client,
-        items,
-        totalCost,
-        totalPrice,
-        profit,
-        margin,
-        status: 'pending'
-    });
+async function restoreDeal(deal) {
+    return db.batch([
+        { type: 'update', table: 'deals', id: deal.id, updates: { deletedAt: null } },
+        ...dealRecords(deal.id)
+            .filter(({ record }) => record.deletedAt === deal.deletedAt)
+            .map(({ table, record }) => ({ type: 'update', table, id: record.id, updates: { deletedAt: null } }))
+    ]);
+}
 
-    // Create workflow
-    await db.add('workflows', {
-        dealId: currentDeal,
-        quoteId: quote.id,
-        client,
-        status: 'pending_signature',
-        steps: [
-            { name: 'Quote Sent', completed: true, date: new Date().toISOString() },
-            { name: 'Signature Received', completed: false },
-            { name: 'Routed to AR', completed: false },
-            { name: 'Routed to Engineers', completed: false },
-            { name: '50% Down Payment', completed: false },
-            { name: 'Project Kickoff', completed: false }
+// Removes trashed deals and everything scoped to them for good
+async function purgeDeals(deals) {
+    if (deals.length === 0) return true;
+    return db.batch([
+        ...deals.flatMap(deal => dealRecords(deal.id))
+            .map(({ table, record }) => ({ type: 'delete', table, id: record.id })),
+        ...deals.map(deal => ({ type: 'delete', table: 'deals', id: deal.id }))
+    ]);
+}
+
+function getTrashedDeals() {
+    return db.get('deals', { includeDeleted: true })
+        .filter(d => d.deletedAt)
+        .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+}
+
+function trashExpiresAt(deal) {
+    return new Date(new Date(deal.deletedAt).getTime() + getTrashSettings().retentionDays * DAY_MS);
+}
+
+async function purgeExpiredTrash() {
+    const now = new Date();
+    return purgeDeals(getTrashedDeals().filter(deal => trashExpiresAt(deal) <= now));
+}
+
+function loadTrash() {
+    const retentionInput = document.getElementById('trashRetentionDays');
+    if (retentionInput) retentionInput.value = getTrashSettings().retentionDays;
+
+    const listDiv = document.getElementById('trashList');
+    if (!listDiv) return;
+
+    const deals = getTrashedDeals();
+    document.getElementById('emptyTrash').disabled = deals.length === 0;
+
+    if (deals.length === 0) {
+        listDiv.innerHTML = '<div class="empty-state"><p>Trash is empty.</p></div>';
+        return;
+    }
+
+    listDiv.innerHTML = deals.map(deal => {
+        const records = dealRecords(deal.id).filter(({ record }) => record.deletedAt === deal.deletedAt).length;
+        const daysLeft = Math.max(0, Math.ceil((trashExpiresAt(deal) - new Date()) / DAY_MS));
+        return `
+            <div class="list-item trash-item">
+                <div>
+                    <h4>${escapeHtml(deal.companyName)}</h4>
+                    <p>Deleted ${new Date(deal.deletedAt).toLocaleDateString()} · ${records} related record${records === 1 ? '' : 's'} · purged in ${daysLeft} day${daysLeft === 1 ? '' : 's'}</p>
+                </div>
+                <div class="trash-actions">
+                    <button class="btn btn-secondary btn-sm" data-restore-deal="${deal.id}">Restore</button>
+                    <button class="btn btn-sm btn-danger" data-purge-deal="${deal.id}">Delete Forever</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    listDiv.querySelectorAll('[data-restore-deal]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const deal = deals.find(d => d.id === parseInt(btn.dataset.restoreDeal));
+            if (!(await restoreDeal(deal))) return;
+            loadTrash();
+            loadDealSelector();
+            alert(`Restored the deal for ${deal.companyName}.`);
+        });
+    });
+
+    listDiv.querySelectorAll('[data-purge-deal]').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            const deal = deals.find(d => d.id === parseInt(btn.dataset.purgeDeal));
+            if (!confirm(`Permanently delete the deal for "${deal.companyName}" and all of its records? This cannot be undone.`)) return;
+            await purgeDeals([deal]);
+            loadTrash();
+        });
+    });
+}
+
+document.getElementById('emptyTrash')?.addEventListener('click', async () => {
+    const deals = getTrashedDeals();
+    if (!confirm(`Permanently delete ${deals.length} deal${deals.length === 1 ? '' : 's'} and all of their records? This cannot be undone.`)) return;
+    await purgeDeals(deals);
+    loadTrash();
+});
+
+document.getElementById('trashSettingsForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const retentionDays = Math.max(1, parseInt(document.getElementById('trashRetentionDays').value) || TRASH_DEFAULTS.retentionDays);
+    await saveSetting('trash', { retentionDays });
+    loadTrash();
+});
+
+// Audit Log Page
+// Newest first, for the current deal or everything; narrowed to one record it
+// is that record's full history. The log is read from the backend a page at a
+// time, filtered there by the indexed deal_id, table_name and record_id
+// columns. Changes still waiting in the outbox are listed on top.
+const AUDIT_PAGE_SIZE = 100;
+// The server may return fewer rows than asked for (PostgREST caps responses
+// at its max-rows setting), so exports page until a page comes back empty
+const AUDIT_EXPORT_PAGE_SIZE = 1000;
+
+let auditLoaded = 0;
+let auditRequest = 0;
+
+function auditTableLabel(table) {
+    return table.replace(/_/g, ' ');
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '-';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
+
+function fillAuditTableOptions() {
+    const tableSelect = document.getElementById('auditTable');
+    if (tableSelect.options.length > 0) return;
+    tableSelect.innerHTML = '<option value="">All tables</option>' + Object.keys(models)
+        .filter(table => table !== 'audit_log')
+        .map(table => `<option value="${table}">${auditTableLabel(table)}</option>`).join('');
+}
+
+// Column values the entries must match, from the filters on the page
+function auditFilters() {
+    const match = {};
+    if (document.getElementById('auditScope').value === 'deal') match.deal_id = currentDeal;
+    const table = document.getElementById('auditTable').value;
+    if (table) match.table_name = table;
+    const recordId = parseInt(document.getElementById('auditRecordId').value);
+    if (!Number.isNaN(recordId)) match.record_id = recordId;
+    return match;
+}
+
+// Entries for writes that haven't reached the backend yet, newest first
+function pendingAuditEntries(match) {
+    return syncState.ops.flatMap(op => op.audit || [])
+        .filter(row => Object.entries(match).every(([column, value]) => row[column] === value))
+        .map(getModel('audit_log').fromRow)
+        .reverse();
+}
+
+function renderAuditEntry(entry, pending = false) {
+    return `
+        <div class="list-item audit-entry">
+            <div class="audit-entry-header">
+                <span class="status-badge audit-${entry.action}">${entry.action}</span>
+                <button class="audit-record-link" onclick="showRecordHistory('${entry.tableName}', ${entry.recordId})">${auditTableLabel(entry.tableName)} #${entry.recordId}</button>
+                <span class="audit-meta">${escapeHtml(entry.changedBy || 'Unknown')} &middot; ${new Date(entry.changedAt).toLocaleString()}</span>
+                ${pending ? '<span class="status-badge pending">not synced yet</span>' : ''}
+            </div>
+            <table class="audit-changes">
+                ${Object.entries(entry.changes || {}).map(([field, { from, to }]) => `
+                    <tr>
+                        <th>${field}</th>
+                        <td class="audit-from">${escapeHtml(formatAuditValue(from))}</td>
+                        <td class="audit-to">${escapeHtml(formatAuditValue(to))}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        </div>
+    `;
+}
+
+// `more` appends the next page to what is already listed
+async function loadAuditLog({ more = false } = {}) {
+    const listDiv = document.getElementById('auditList');
+    if (!listDiv) return;
+
+    document.getElementById('auditUserName').value = localStorage.getItem('userName') || '';
+    fillAuditTableOptions();
+
+    if (document.getElementById('auditScope').value === 'deal' && !currentDeal) {
+        listDiv.innerHTML = '<div class="empty-state"><p>Select a deal, or show changes across all deals.</p></div>';
+        return;
+    }
+
+    // Filters can change while a page is loading; only the latest request renders
+    const request = ++auditRequest;
+    const match = auditFilters();
+    const offset = more ? auditLoaded : 0;
+    const { data, error } = await storage.query('audit_log', match, { offset, limit: AUDIT_PAGE_SIZE });
+    if (request !== auditRequest) return;
+
+    document.getElementById('auditLoadMore')?.remove();
+    if (error) {
+        listDiv.innerHTML = pendingAuditEntries(match).map(entry => renderAuditEntry(entry, true)).join('') +
+            '<div class="empty-state"><p>The audit log could not be loaded. Check your connection and try again.</p></div>';
+        return;
+    }
+
+    const entries = data.map(getModel('audit_log').fromRow);
+    auditLoaded = offset + entries.length;
+    if (!more) {
+        const pending = pendingAuditEntries(match);
+        listDiv.innerHTML = pending.length + entries.length === 0
+            ? '<div class="empty-state"><p>No changes recorded yet.</p></div>'
+            : pending.map(entry => renderAuditEntry(entry, true)).join('');
+    }
+    listDiv.insertAdjacentHTML('beforeend', entries.map(entry => renderAuditEntry(entry)).join(''));
+    if (entries.length === AUDIT_PAGE_SIZE) {
+        listDiv.insertAdjacentHTML('beforeend',
+            '<button id="auditLoadMore" class="btn btn-secondary btn-sm audit-load-more" onclick="loadAuditLog({ more: true })">Load older changes</button>');
+    }
+}
+
+// Opens the audit log narrowed to one record's history
+function showRecordHistory(table, id) {
+    fillAuditTableOptions();
+    document.getElementById('auditScope').value = 'all';
+    document.getElementById('auditTable').value = table;
+    document.getElementById('auditRecordId').value = resolveId(id);
+    document.querySelector('.nav-item[data-page="audit"]').click();
+}
+
+['auditScope', 'auditTable', 'auditRecordId'].forEach(id =>
+    document.getElementById(id)?.addEventListener('change', () => loadAuditLog()));
+
+document.getElementById('auditUserName')?.addEventListener('change', (e) => {
+    localStorage.setItem('userName', e.target.value.trim());
+});
+
+document.getElementById('clearAuditFilters')?.addEventListener('click', () => {
+    document.getElementById('auditTable').value = '';
+    document.getElementById('auditRecordId').value = '';
+    loadAuditLog();
+});
+
+// Every entry matching the filters that has reached the backend, newest
+// first, or null if a page could not be loaded
+async function fetchAllAuditEntries() {
+    const match = auditFilters();
+    const entries = [];
+    for (;;) {
+        const { data, error } = await storage.query('audit_log', match, { offset: entries.length, limit: AUDIT_EXPORT_PAGE_SIZE });
+        if (error) {
+            alert('The audit log could not be loaded. Check your connection and try again.');
+            return null;
+        }
+        if (data.length === 0) return entries;
+        entries.push(...data.map(getModel('audit_log').fromRow));
+    }
+}
+
+function auditExportName(extension) {
+    return `audit-log-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+// One row per changed field, so the file can be filtered in a spreadsheet
+document.getElementById('exportAuditCsv')?.addEventListener('click', async () => {
+    const entries = await fetchAllAuditEntries();
+    if (!entries) return;
+
+    const rows = [
+        ['Changed At', 'Changed By', 'Action', 'Table', 'Record ID', 'Deal ID', 'Field', 'From', 'To'],
+        ...entries.flatMap(entry => {
+            const changes = Object.entries(entry.changes || {});
+            const base = [entry.changedAt, entry.changedBy, entry.action, entry.tableName, entry.recordId, entry.dealId ?? ''];
+            return changes.length === 0
+                ? [[...base, '', '', '']]
+                : changes.map(([field, { from, to }]) => [...base, field, ...[from, to].map(v =>
+                    v !== null && typeof v === 'object' ? JSON.stringify(v) : v)]);
+        })
+    ];
+    const csv = rows.map(row => row.map(csvField).join(',')).join('\n');
+    downloadFile(auditExportName('csv'), csv, 'text/csv');
+});
+
+document.getElementById('exportAuditJson')?.addEventListener('click', async () => {
+    const entries = await fetchAllAuditEntries();
+    if (entries) downloadFile(auditExportName('json'), JSON.stringify(entries, null, 2), 'application/json');
+});
+
+// Pre-Call Research
+// Runs the `research` task on the provider from MODEL_PROVIDER (providers.js)
+let modelProvider = null;
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// What the deal already tells us, passed to the provider as context
+function researchContext(company, leader) {
+    const meetings = db.get('meetings').filter(m => m.dealId === currentDeal);
+    const stakeholders = db.get('stakeholders').filter(s => s.dealId === currentDeal);
+    return {
+        company,
+        leader,
+        meetings: meetings.map(m => ({ date: m.date, notes: m.notes || '' })),
+        stakeholders: stakeholders.map(s => ({ name: s.name, title: s.title, role: s.role, criteria: s.criteria }))
+    };
+}
+
+// Runs saved before research was structured only kept their rendered HTML;
+// its headings match RESEARCH_SECTIONS titles, so the bullets can be read back
+function researchSections(research) {
+    if (research.sections) return research.sections;
+
+    const sections = Object.fromEntries(RESEARCH_SECTIONS.map(({ key }) => [key, []]));
+    const html = new DOMParser().parseFromString(research.results || '', 'text/html');
+    html.querySelectorAll('h4').forEach(heading => {
+        const section = RESEARCH_SECTIONS.find(({ title }) => heading.textContent.trim().startsWith(title));
+        const list = heading.nextElementSibling;
+        if (!section || list?.tagName !== 'UL') return;
+        sections[section.key] = [...list.querySelectorAll('li')].map(li => li.textContent.trim());
+    });
+    return sections;
+}
+
+function renderResearch(research) {
+    const byline = `${research.provider ? `Generated by ${escapeHtml(research.provider)} · ` : ''}${new Date(research.createdAt).toLocaleString()}`;
+    const sections = researchSections(research);
+
+    const body = RESEARCH_SECTIONS
+        .filter(({ key }) => sections[key]?.length > 0)
+        .map(({ key, title }) => `
+            <h4>${title}${key === 'leadership' && research.leader ? ` - ${escapeHtml(research.leader)}` : ''}</h4>
+            <ul>${sections[key].map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>
+        `).join('');
+
+    return `
+        <h3>Research Results for ${escapeHtml(research.company)}</h3>
+        <p class="research-byline">${byline}</p>
+        ${body}
+    `;
+}
+
+// The current deal's research runs, newest first
+function getResearchRuns() {
+    if (!currentDeal) return [];
+    return db.get('research')
+        .filter(r => r.dealId === currentDeal)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+function researchRunLabel(research) {
+    return `${new Date(research.createdAt).toLocaleString()} - ${research.company}${research.provider ? ` (${research.provider})` : ''}`;
+}
+
+// Shows the deal's most recent research when the page opens
+function loadResearch() {
+    const contentDiv = document.getElementById('researchContent');
+    if (!contentDiv) return;
+
+    const [latest] = getResearchRuns();
+    contentDiv.innerHTML = latest ? renderResearch(latest) : '';
+    loadResearchHistory();
+}
+
+function loadResearchHistory() {
+    const historyDiv = document.getElementById('researchHistory');
+    const compareDiv = document.getElementById('researchCompare');
+    if (!historyDiv) return;
+
+    const runs = getResearchRuns();
+    document.getElementById('researchDiff').innerHTML = '';
+
+    if (runs.length === 0) {
+        historyDiv.innerHTML = '<div class="empty-state"><p>No research saved for this deal yet.</p></div>';
+        compareDiv.classList.add('hidden');
+        return;
+    }
+
+    historyDiv.innerHTML = runs.map(run => `
+        <div class="list-item research-run">
+            <div>
+                <h4>${escapeHtml(run.company)}${run.leader ? ` - ${escapeHtml(run.leader)}` : ''}</h4>
+                <p>${new Date(run.createdAt).toLocaleString()}${run.provider ? ` · ${escapeHtml(run.provider)}` : ''}</p>
+            </div>
+            <button class="btn btn-secondary btn-sm" data-open-research="${run.id}">Open</button>
+        </div>
+    `).join('');
+
+    historyDiv.querySelectorAll('[data-open-research]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const run = runs.find(r => r.id === parseInt(btn.dataset.openResearch));
+            document.getElementById('researchContent').innerHTML = renderResearch(run);
+            document.getElementById('researchContent').scrollIntoView({ behavior: 'smooth' });
+        });
+    });
+
+    // Comparing needs two runs; default to the previous run against the latest
+    compareDiv.classList.toggle('hidden', runs.length < 2);
+    const options = runs.map(run => `<option value="${run.id}">${escapeHtml(researchRunLabel(run))}</option>`).join('');
+    document.getElementById('compareFrom').innerHTML = options;
+    document.getElementById('compareTo').innerHTML = options;
+    if (runs.length >= 2) {
+        document.getElementById('compareFrom').value = runs[1].id;
+        document.getElementById('compareTo').value = runs[0].id;
+    }
+}
+
+// Per section, the bullets that only appear in the later run (added) or only
+// in the earlier one (removed). Bullets are matched ignoring case and spacing.
+function diffResearch(from, to) {
+    const normalize = (item) => item.toLowerCase().replace(/\s+/g, ' ').trim();
+    const fromSections = researchSections(from);
+    const toSections = researchSections(to);
+
+    return RESEARCH_SECTIONS.map(({ key, title }) => {
+        const before = fromSections[key] || [];
+        const after = toSections[key] || [];
+        const beforeKeys = new Set(before.map(normalize));
+        const afterKeys = new Set(after.map(normalize));
+        return {
+            key,
+            title,
+            added: after.filter(item => !beforeKeys.has(normalize(item))),
+            removed: before.filter(item => !afterKeys.has(normalize(item)))
+        };
+    });
+}
+
+function renderResearchDiff(from, to) {
+    const sections = diffResearch(from, to);
+    const changes = [];
+
+    if ((from.leader || '') !== (to.leader || '')) {
+        changes.push(`<p class="diff-note">Leader changed from ${escapeHtml(from.leader || 'none')} to ${escapeHtml(to.leader || 'none')}</p>`);
+    }
+    sections.filter(s => s.added.length > 0 || s.removed.length > 0).forEach(section => {
+        changes.push(`
+            <h4>${section.title}</h4>
+            <ul class="research-diff-list">
+                ${section.added.map(item => `<li class="diff-added">${escapeHtml(item)}</li>`).join('')}
+                ${section.removed.map(item => `<li class="diff-removed">${escapeHtml(item)}</li>`).join('')}
+            </ul>
+        `);
+    });
+
+    return `
+        <h4>Changes from ${escapeHtml(new Date(from.createdAt).toLocaleString())} to ${escapeHtml(new Date(to.createdAt).toLocaleString())}</h4>
+        ${changes.length > 0 ? changes.join('') : '<p class="help-text">No differences between these runs.</p>'}
+    `;
+}
+
+document.getElementById('compareResearch')?.addEventListener('click', () => {
+    const runs = getResearchRuns();
+    const from = runs.find(r => r.id === parseInt(document.getElementById('compareFrom').value));
+    const to = runs.find(r => r.id === parseInt(document.getElementById('compareTo').value));
+    if (!from || !to) return;
+
+    if (from.id === to.id) {
+        alert('Pick two different research runs to compare');
+        return;
+    }
+
+    // Always diff older -> newer, whichever way round they were picked
+    const [earlier, later] = new Date(from.createdAt) <= new Date(to.createdAt) ? [from, to] : [to, from];
+    document.getElementById('researchDiff').innerHTML = renderResearchDiff(earlier, later);
+});
+
+document.getElementById('researchBtn')?.addEventListener('click', async () => {
+    const company = document.getElementById('researchCompany').value;
+    const leader = document.getElementById('researchLeader').value;
+    const contentDiv = document.getElementById('researchContent');
+    const researchBtn = document.getElementById('researchBtn');
+
+    if (!company) {
+        alert('Please enter a company name');
+        return;
+    }
+
+    if (!modelProvider) {
+        alert('Research needs a model provider. Set MODEL_PROVIDER in config.js.');
+        return;
+    }
+
+    contentDiv.innerHTML = `<p>Researching with ${escapeHtml(modelProvider.name)}...</p>`;
+    researchBtn.disabled = true;
+
+    const { data: sections, error } = await modelProvider.run('research', researchContext(company, leader));
+    researchBtn.disabled = false;
+
+    if (error) {
+        console.error('Research failed:', error);
+        contentDiv.innerHTML = '';
+        alert(`Research failed - ${error.message}`);
+        return;
+    }
+
+    const research = { dealId: currentDeal, company, leader, sections, provider: modelProvider.name };
+    const saved = await db.add('research', research);
+    contentDiv.innerHTML = renderResearch(saved || { ...research, createdAt: new Date().toISOString() });
+    loadResearchHistory();
+});
+
+// Meeting Notes
+document.getElementById('meetingForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    if (!currentDeal) {
+        alert('Please select or create a deal first!');
+        return;
+    }
+
+    const meeting = {
+        dealId: currentDeal,
+        company: document.getElementById('meetingCompany').value,
+        date: document.getElementById('meetingDate').value,
+        notes: document.getElementById('meetingNotes').value
+    };
+
+    await db.add('meetings', meeting);
+
+    // Reset form
+    e.target.reset();
+
+    // Show success
+    alert('Meeting notes saved successfully!');
+
+    // Refresh meetings list
+    loadMeetingsList();
+    updateDashboard();
+});
+
+function loadMeetingsList() {
+    const meetings = db.get('meetings').filter(m => m.dealId === currentDeal);
+    const listDiv = document.getElementById('meetingsList');
+
+    if (!currentDeal) {
+        listDiv.innerHTML = '<div class="empty-state"><p>Please select or create a deal to view meetings.</p></div>';
+        return;
+    }
+
+    if (meetings.length === 0) {
+        listDiv.innerHTML = '<div class="empty-state"><p>No meetings recorded for this deal yet.</p></div>';
+    } else {
+        listDiv.innerHTML = meetings.reverse().map(meeting => `
+            <div class="list-item">
+                <h4>${dealCompanyName(meeting, meeting.company)}</h4>
+                <p><strong>Date:</strong> ${new Date(meeting.date).toLocaleDateString()}</p>
+                <p style="margin-top: 0.5rem;">${meeting.notes.substring(0, 150)}${meeting.notes.length > 150 ? '...' : ''}</p>
+            </div>
+        `).join('');
+    }
+}
+
+// SoW Generator
+function loadMeetingsForSow() {
+    const meetings = db.get('meetings').filter(m => m.dealId === currentDeal);
+    const select = document.getElementById('sowMeeting');
+
+    if (!currentDeal) {
+        select.innerHTML = '<option value="">Please select a deal first...</option>';
+        return;
+    }
+
+    select.innerHTML = '<option value="">Choose a meeting...</option>' +
+        meetings.map(m => `<option value="${m.id}">${dealCompanyName(m, m.company)} - ${new Date(m.date).toLocaleDateString()}</option>`).join('');
+
+    select.onchange = updateSowGenerateButton;
+    updateSowGenerateButton();
+}
+
+document.getElementById('createQuote').addEventListener('click', async () => {
+    // Navigate to quotes page and start a new quote
+    document.querySelector('[data-page="quotes"]').click();
+    resetQuoteBuilder();
+
+    // Pre-fill client name and the SoW version the quote is built from
+    const sowId = parseInt(document.getElementById('createQuote').dataset.sowId);
+    const sows = db.get('sows');
+    const sow = sows.find(s => s.id === sowId);
+
+    if (sow) {
+        document.getElementById('quoteClient').value = dealCompanyName(sow, sow.company);
+        document.getElementById('quoteSow').value = sow.id;
+    }
+});
+
+// Workflow Templates
+// A template lists the onboarding steps that follow a signed quote. Each step
+// names the role that owns it, how many days it should take and what has to be
+// recorded before it can be completed. A step either waits for everything in
+// the group above it or, marked parallel, runs alongside the step above. A
+// template with a category is picked automatically for quotes mostly made of
+// that category's offerings.
+const WORKFLOW_ROLES = ['Sales', 'Finance', 'Legal', 'Delivery', 'Customer Success'];
+
+const QUOTE_SENT_STEP = { key: 'sent', name: 'Quote Sent', ownerRole: 'Sales', slaDays: 2, evidence: '' };
+const SIGNATURE_STEP = { key: 'signature', name: 'Signature Received', ownerRole: 'Sales', slaDays: 14, evidence: 'Signed quote' };
+
+// Used when no saved template applies
+const STANDARD_WORKFLOW_TEMPLATE = {
+    id: null,
+    name: 'Standard onboarding',
+    category: null,
+    steps: [
+        { name: 'Routed to AR', ownerRole: 'Finance', slaDays: 2, evidence: '' },
+        { name: 'Routed to Engineers', ownerRole: 'Delivery', slaDays: 3, evidence: '', parallel: true },
+        { name: 'Project Kickoff', ownerRole: 'Delivery', slaDays: 10, evidence: 'Kickoff meeting notes' }
+    ]
+};
+
+const workflowStep = (step, key, dependsOn) => ({
+    key,
+    dependsOn,
+    name: step.name,
+    ownerRole: step.ownerRole || null,
+    slaDays: step.slaDays ?? null,
+    evidence: step.evidence || '',
+    completed: false
+});
+
+// The category bringing in most of the quote's revenue
+function quoteMainCategory(items) {
+    const totals = {};
+    items.forEach(item => {
+        const category = itemCategory(item);
+        totals[category] = (totals[category] || 0) + (item.price || 0);
+    });
+    return Object.entries(totals).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+function autoWorkflowTemplate(items) {
+    const templates = db.get('workflow_templates').filter(t => t.steps?.length > 0);
+    const category = quoteMainCategory(items);
+    return templates.find(t => category && t.category === category)
+        || templates.find(t => !t.category)
+        || STANDARD_WORKFLOW_TEMPLATE;
+}
+
+// The template picked on the quote form, or the automatic choice
+function selectedWorkflowTemplate(items) {
+    const templateId = parseInt(document.getElementById('quoteWorkflowTemplate').value);
+    return (templateId && db.find('workflow_templates', templateId)) || autoWorkflowTemplate(items);
+}
+
+function loadWorkflowTemplateOptions() {
+    const select = document.getElementById('quoteWorkflowTemplate');
+    const selected = select.value;
+    select.innerHTML = '<option value="">Automatic</option>' +
+        db.get('workflow_templates').map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('');
+    select.value = db.find('workflow_templates', parseInt(selected)) ? selected : '';
+}
+
+// Shows which template "Automatic" resolves to for the lines entered so far
+function updateWorkflowTemplateHint(items) {
+    const option = document.querySelector('#quoteWorkflowTemplate option[value=""]');
+    if (option) option.textContent = `Automatic (${autoWorkflowTemplate(items).name})`;
+}
+
+// Admin page
+let editingWorkflowTemplateId = null;
+
+function addWorkflowTemplateStepRow(step = null) {
+    const row = document.createElement('div');
+    row.className = 'workflow-template-step';
+    row.innerHTML = `
+        <input type="text" class="step-name" placeholder="Step name" required>
+        <select class="step-owner">
+            ${WORKFLOW_ROLES.map(role => `<option value="${role}">${role}</option>`).join('')}
+        </select>
+        <input type="number" class="step-sla" min="0" step="1" placeholder="Days">
+        <input type="text" class="step-evidence" placeholder="e.g. Signed PO (optional)">
+        <label class="step-parallel-label"><input type="checkbox" class="step-parallel"> Parallel</label>
+        <button type="button" class="btn btn-danger btn-sm remove-step">×</button>
+    `;
+    if (step) {
+        row.querySelector('.step-name').value = step.name;
+        row.querySelector('.step-owner').value = step.ownerRole || WORKFLOW_ROLES[0];
+        row.querySelector('.step-sla').value = step.slaDays ?? '';
+        row.querySelector('.step-evidence').value = step.evidence || '';
+        row.querySelector('.step-parallel').checked = !!step.parallel;
+    }
+    row.querySelector('.remove-step').addEventListener('click', () => {
+        row.remove();
+        if (!document.querySelector('.workflow-template-step')) addWorkflowTemplateStepRow();
+    });
+    document.getElementById('workflowTemplateSteps').appendChild(row);
+}
+
+function readWorkflowTemplateSteps() {
+    return Array.from(document.querySelectorAll('.workflow-template-step'))
+        .map(row => ({
+            name: row.querySelector('.step-name').value.trim(),
+            ownerRole: row.querySelector('.step-owner').value,
+            slaDays: parseInt(row.querySelector('.step-sla').value) || null,
+            evidence: row.querySelector('.step-evidence').value.trim(),
+            parallel: row.querySelector('.step-parallel').checked
+        }))
+        .filter(step => step.name);
+}
+
+function resetWorkflowTemplateForm() {
+    editingWorkflowTemplateId = null;
+    document.getElementById('workflowTemplateForm').reset();
+    document.getElementById('workflowTemplateSteps').innerHTML = '';
+    addWorkflowTemplateStepRow();
+    document.getElementById('workflowTemplateFormTitle').textContent = 'New Template';
+    document.getElementById('cancelWorkflowTemplate').classList.add('hidden');
+}
+
+function describeWorkflowStep(step) {
+    return [
+        step.ownerRole,
+        step.slaDays ? `${step.slaDays}-day SLA` : null,
+        step.evidence ? `needs ${step.evidence}` : null
+    ].filter(Boolean).join(' · ');
+}
+
+function loadWorkflowTemplates() {
+    const templates = db.get('workflow_templates');
+    const listDiv = document.getElementById('workflowTemplatesList');
+
+    const categorySelect = document.getElementById('workflowTemplateCategory');
+    if (categorySelect.options.length === 0) {
+        categorySelect.innerHTML = '<option value="">Any category</option>' +
+            OFFERING_CATEGORIES.map(category => `<option value="${category}">${category}</option>`).join('');
+    }
+
+    const renderSteps = (steps) => `
+        <ol class="workflow-template-steps">
+            ${steps.map((step, index) => `<li>${escapeHtml(step.name)} <span class="help-text">${escapeHtml(describeWorkflowStep(step))}${step.parallel && index > 0 ? ' · alongside the step above' : ''}</span></li>`).join('')}
+        </ol>
+    `;
+
+    listDiv.innerHTML = templates.map(template => `
+        <div class="template-item">
+            <div class="template-info">
+                <h5>${escapeHtml(template.name)}</h5>
+                <p>${template.category || 'Any category'} • ${template.steps.length} steps</p>
+                ${renderSteps(template.steps)}
+            </div>
+            <div class="template-actions">
+                <button class="btn btn-sm btn-secondary" onclick="editWorkflowTemplate(${template.id})">Edit</button>
+                <button class="btn btn-sm btn-danger" onclick="deleteWorkflowTemplate(${template.id})">Delete</button>
+            </div>
+        </div>
+    `).join('') + `
+        <div class="template-item">
+            <div class="template-info">
+                <h5>${STANDARD_WORKFLOW_TEMPLATE.name} (built in)</h5>
+                <p>Used when no template above applies to a quote</p>
+                ${renderSteps(STANDARD_WORKFLOW_TEMPLATE.steps)}
+            </div>
+        </div>
+    `;
+}
+
+function editWorkflowTemplate(templateId) {
+    const template = db.find('workflow_templates', templateId);
+    if (!template) return;
+
+    editingWorkflowTemplateId = templateId;
+    document.getElementById('workflowTemplateName').value = template.name;
+    document.getElementById('workflowTemplateCategory').value = template.category || '';
+    document.getElementById('workflowTemplateSteps').innerHTML = '';
+    template.steps.forEach(step => addWorkflowTemplateStepRow(step));
+    document.getElementById('workflowTemplateFormTitle').textContent = `Edit ${template.name}`;
+    document.getElementById('cancelWorkflowTemplate').classList.remove('hidden');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+async function deleteWorkflowTemplate(templateId) {
+    if (!confirm('Delete this workflow template? Workflows already started from it keep their steps.')) return;
+
+    await db.delete('workflow_templates', templateId);
+    if (editingWorkflowTemplateId === templateId) resetWorkflowTemplateForm();
+    loadWorkflowTemplates();
+}
+
+document.getElementById('addWorkflowTemplateStep').addEventListener('click', () => addWorkflowTemplateStepRow());
+document.getElementById('cancelWorkflowTemplate').addEventListener('click', resetWorkflowTemplateForm);
+
+document.getElementById('workflowTemplateForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const template = {
+        name: document.getElementById('workflowTemplateName').value.trim(),
+        category: document.getElementById('workflowTemplateCategory').value || null,
+        steps: readWorkflowTemplateSteps()
+    };
+
+    if (template.steps.length === 0) {
+        alert('Add at least one step.');
+        return;
+    }
+
+    const saved = editingWorkflowTemplateId
+        ? await db.update('workflow_templates', editingWorkflowTemplateId, template)
+        : await db.add('workflow_templates', template);
+    if (!saved) return;
+
+    resetWorkflowTemplateForm();
+    loadWorkflowTemplates();
+    alert('Workflow template saved!');
+});
+
+resetWorkflowTemplateForm();
+
+// Quote Builder
+// Each line is a quantity of some unit at a per-unit cost and price. Lines
+// picked from the catalog keep the offering's id; custom lines have none.
+// Saved items also carry `cost` and `price` as line totals (quantity × rate),
+// which is all that quotes saved before quantities existed have.
+// Catalog offerings' categories; margin floors are set per category
+const OFFERING_CATEGORIES = ['Consulting', 'Implementation', 'Training', 'Support', 'Infrastructure', 'Security', 'Other'];
+
+const QUOTE_UNITS = [
+    { value: 'each', label: 'Each', per: 'each' },
+    { value: 'hours', label: 'Hours', per: 'hour' },
+    { value: 'days', label: 'Days', per: 'day' },
+    { value: 'licenses', label: 'Licenses', per: 'license' }
+];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Quotes are priced in the deal's currency
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'NZD', 'CHF', 'JPY'];
+
+function formatMoney(amount, currency = 'USD') {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount || 0);
+}
+
+// Invoice schedules. Each milestone is a share of the quote total; upfront
+// milestones are due before work starts and become workflow steps.
+const PAYMENT_TERMS = [
+    {
+        value: '50-50',
+        label: '50% down, 50% on completion',
+        milestones: [
+            { name: 'Down payment', percent: 50, due: 'On signature', upfront: true },
+            { name: 'Final payment', percent: 50, due: 'On completion' }
         ]
+    },
+    {
+        value: '30-40-30',
+        label: '30% down, 40% at midpoint, 30% on completion',
+        milestones: [
+            { name: 'Down payment', percent: 30, due: 'On signature', upfront: true },
+            { name: 'Midpoint payment', percent: 40, due: 'At project midpoint' },
+            { name: 'Final payment', percent: 30, due: 'On completion' }
+        ]
+    },
+    {
+        value: 'upfront',
+        label: '100% upfront',
+        milestones: [{ name: 'Payment in full', percent: 100, due: 'On signature', upfront: true }]
+    },
+    {
+        value: 'net30',
+        label: 'Net 30',
+        milestones: [{ name: 'Payment in full', percent: 100, due: '30 days after invoice' }]
+    }
+];
+
+// Quotes saved before payment terms existed assumed 50% down
+const paymentTerms = (value) => PAYMENT_TERMS.find(t => t.value === value) || PAYMENT_TERMS[0];
+
+// The last milestone takes up any rounding so the amounts add up to the total
+function quoteMilestones(total, termsValue) {
+    const { milestones } = paymentTerms(termsValue);
+    let remaining = total;
+    return milestones.map((milestone, index) => {
+        const amount = index === milestones.length - 1 ? roundCents(remaining) : roundCents((total * milestone.percent) / 100);
+        remaining -= amount;
+        return { ...milestone, amount };
+    });
+}
+
+// Line prices are already net of line discounts. The quote discount comes off
+// the subtotal, tax is charged on what remains, and margin leaves tax out.
+function computeQuoteTotals(items, { discountPercent = 0, taxRate = 0 } = {}) {
+    const totalCost = roundCents(items.reduce((sum, item) => sum + (item.cost || 0), 0));
+    const subtotal = roundCents(items.reduce((sum, item) => sum + (item.price || 0), 0));
+    const discountAmount = roundCents((subtotal * discountPercent) / 100);
+    const net = subtotal - discountAmount;
+    const taxAmount = roundCents((net * taxRate) / 100);
+    const profit = roundCents(net - totalCost);
+    return {
+        subtotal,
+        discountAmount,
+        taxAmount,
+        totalCost,
+        totalPrice: roundCents(net + taxAmount),
+        profit,
+        margin: net > 0 ? Number(((profit / net) * 100).toFixed(1)) : 0
+    };
+}
+
+// Tax Rates
+const TAX_DEFAULTS = { regions: [{ name: 'No tax', rate: 0 }] };
+
+function getTaxRegions() {
+    return getSetting('taxRates', TAX_DEFAULTS).regions;
+}
+
+function loadTaxRates() {
+    const listDiv = document.getElementById('taxRatesList');
+    if (!listDiv) return;
+
+    listDiv.innerHTML = getTaxRegions().map((region, index) => `
+        <div class="tax-rate">
+            <span>${escapeHtml(region.name)}</span>
+            <span>${region.rate}%</span>
+            <button type="button" class="btn btn-sm btn-danger" onclick="removeTaxRegion(${index})">Remove</button>
+        </div>
+    `).join('');
+
+    const select = document.getElementById('quoteTaxRegion');
+    const selected = select.value;
+    select.innerHTML = getTaxRegions().map(region =>
+        `<option value="${escapeHtml(region.name)}">${escapeHtml(region.name)} (${region.rate}%)</option>`).join('');
+    if (getTaxRegions().some(region => region.name === selected)) select.value = selected;
+    updateQuoteTotals();
+}
+
+document.getElementById('taxRateForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const name = document.getElementById('taxRegionName').value.trim();
+    const rate = parseFloat(document.getElementById('taxRegionRate').value) || 0;
+
+    // Adding a region that already exists updates its rate
+    const regions = [...getTaxRegions().filter(region => region.name !== name), { name, rate }];
+    await saveSetting('taxRates', { regions });
+    e.target.reset();
+    loadTaxRates();
+});
+
+async function removeTaxRegion(index) {
+    const regions = getTaxRegions().filter((_, i) => i !== index);
+    await saveSetting('taxRates', { regions });
+    loadTaxRates();
+}
+
+// Margin Guardrails
+// Every offering category has a margin floor. Lines are grouped by their
+// offering's category (custom lines count as Other) and each group's margin
+// is checked after the quote discount, before tax. Below the floor a quote
+// either needs a manager's approval or can't be saved.
+const MARGIN_ACTIONS = [
+    { value: 'approval', label: 'Requires approval' },
+    { value: 'block', label: 'Block the quote' }
+];
+
+const MARGIN_FLOOR_DEFAULT = { floor: 20, action: 'approval' };
+
+function getMarginFloors() {
+    const saved = getSetting('marginFloors', { floors: {} }).floors;
+    return Object.fromEntries(OFFERING_CATEGORIES.map(category =>
+        [category, { ...MARGIN_FLOOR_DEFAULT, ...saved[category] }]));
+}
+
+// Custom lines have no offering and count as "Other"
+const itemCategory = (item) => db.find('service_offerings', item.offeringId)?.category || 'Other';
+
+function marginViolations(items, discountPercent = 0) {
+    const floors = getMarginFloors();
+    const groups = {};
+    items.forEach(item => {
+        const category = itemCategory(item);
+        const group = (groups[category] ||= { cost: 0, price: 0 });
+        group.cost += item.cost || 0;
+        group.price += item.price || 0;
+    });
+
+    return Object.entries(groups).flatMap(([category, { cost, price }]) => {
+        const { floor, action } = floors[category] || floors.Other;
+        const net = price * (1 - discountPercent / 100);
+        if (net <= 0 && cost <= 0) return [];
+        const margin = net > 0 ? Number((((net - cost) / net) * 100).toFixed(1)) : null;
+        if (margin !== null && margin >= floor) return [];
+        return [{ category, margin, floor, action }];
+    });
+}
+
+function describeViolation(violation) {
+    const margin = violation.margin === null ? 'no revenue' : `${violation.margin}% margin`;
+    return `${violation.category}: ${margin}, floor is ${violation.floor}%`;
+}
+
+function renderMarginWarnings(violations) {
+    if (violations.length === 0) return '';
+    const blocked = violations.some(v => v.action === 'block');
+    return `
+        <div class="margin-warning ${blocked ? 'blocked' : ''}">
+            <strong>${blocked ? 'Below a hard margin floor - this quote cannot be saved.' : 'Below the margin floor - this quote will need approval before it can be sent.'}</strong>
+            <ul>${violations.map(v => `<li>${escapeHtml(describeViolation(v))}${v.action === 'block' ? ' (blocked)' : ''}</li>`).join('')}</ul>
+        </div>
+    `;
+}
+
+function loadMarginFloors() {
+    const container = document.getElementById('marginFloors');
+    if (!container) return;
+
+    const floors = getMarginFloors();
+    container.innerHTML = `
+        <table class="analytics-table">
+            <thead><tr><th>Category</th><th>Minimum Margin (%)</th><th>Below the Floor</th></tr></thead>
+            <tbody>
+                ${OFFERING_CATEGORIES.map(category => `
+                    <tr>
+                        <td>${category}</td>
+                        <td><input type="number" data-floor="${category}" min="-100" max="100" step="0.5" value="${floors[category].floor}"></td>
+                        <td>
+                            <select data-floor-action="${category}">
+                                ${MARGIN_ACTIONS.map(a => `<option value="${a.value}" ${floors[category].action === a.value ? 'selected' : ''}>${a.label}</option>`).join('')}
+                            </select>
+                        </td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+document.getElementById('marginFloorsForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const floors = Object.fromEntries(OFFERING_CATEGORIES.map(category => [category, {
+        floor: parseFloat(document.querySelector(`[data-floor="${category}"]`).value) || 0,
+        action: document.querySelector(`[data-floor-action="${category}"]`).value
+    }]));
+    const saved = await saveSetting('marginFloors', { floors });
+    if (saved) alert('Margin floors saved.');
+});
+
+function unitRate(amount, unit, currency) {
+    const per = QUOTE_UNITS.find(u => u.value === unit)?.per || 'each';
+    return per === 'each' ? `${formatMoney(amount, currency)} each` : `${formatMoney(amount, currency)} / ${per}`;
+}
+
+// Older items are one unit at the line amount
+function quoteItemLine(item) {
+    return {
+        offeringId: item.offeringId ?? null,
+        description: item.description || '',
+        quantity: item.quantity ?? 1,
+        unit: item.unit || 'each',
+        unitCost: item.unitCost ?? item.cost ?? 0,
+        unitPrice: item.unitPrice ?? item.price ?? 0,
+        discountPercent: item.discountPercent ?? 0
+    };
+}
+
+function loadOfferingOptions() {
+    const list = document.getElementById('offeringOptions');
+    if (!list) return;
+    // Rates in the picker are shown in the currency of the quote being built
+    const { currency } = quoteFormPricing();
+    list.innerHTML = db.get('service_offerings').map(offering => `
+        <option value="${escapeHtml(offering.name)}">${escapeHtml(`${offering.category || 'Other'} - ${unitRate(offering.defaultPrice, offering.unit, currency)}`)}</option>
+    `).join('');
+}
+
+// Typing or picking a catalog name fills in the offering's unit, cost and
+// price; changing the text to anything else makes it a custom line again
+function applyOffering(row) {
+    const name = row.querySelector('.item-desc').value.trim();
+    const offering = db.get('service_offerings').find(o => o.name === name);
+
+    if (!offering) {
+        delete row.dataset.offeringId;
+        return;
+    }
+    if (Number(row.dataset.offeringId) === offering.id) return;
+
+    row.dataset.offeringId = offering.id;
+    row.querySelector('.item-unit').value = offering.unit || 'each';
+    row.querySelector('.item-cost').value = offering.defaultCost ?? '';
+    row.querySelector('.item-price').value = offering.defaultPrice ?? '';
+    updateQuoteTotals();
+}
+
+function updateRemoveButtons() {
+    const rows = document.querySelectorAll('.quote-item');
+    rows.forEach(row => { row.querySelector('.remove-item').disabled = rows.length === 1; });
+}
+
+function addQuoteItemRow(item = null) {
+    const row = document.createElement('div');
+    row.className = 'quote-item';
+    row.innerHTML = `
+        <input type="text" placeholder="Search catalog or describe item" class="item-desc" list="offeringOptions" required>
+        <input type="number" placeholder="Qty" class="item-qty" min="0" step="any" value="1" required>
+        <select class="item-unit">
+            ${QUOTE_UNITS.map(unit => `<option value="${unit.value}">${unit.label}</option>`).join('')}
+        </select>
+        <input type="number" placeholder="Cost" class="item-cost" min="0" step="0.01" required>
+        <input type="number" placeholder="Price" class="item-price" min="0" step="0.01" required>
+        <input type="number" placeholder="0" class="item-discount" min="0" max="100" step="0.1">
+        <span class="item-amount">$0.00</span>
+        <button type="button" class="btn-icon remove-item">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+            </svg>
+        </button>
+    `;
+
+    if (item) {
+        const line = quoteItemLine(item);
+        if (line.offeringId) row.dataset.offeringId = line.offeringId;
+        row.querySelector('.item-desc').value = line.description;
+        row.querySelector('.item-qty').value = line.quantity;
+        row.querySelector('.item-unit').value = line.unit;
+        row.querySelector('.item-cost').value = line.unitCost;
+        row.querySelector('.item-price').value = line.unitPrice;
+        row.querySelector('.item-discount').value = line.discountPercent || '';
+    }
+
+    row.querySelector('.item-desc').addEventListener('input', () => applyOffering(row));
+    row.querySelectorAll('.item-qty, .item-cost, .item-price, .item-discount').forEach(input => {
+        input.addEventListener('input', updateQuoteTotals);
+    });
+    row.querySelector('.remove-item').addEventListener('click', () => {
+        row.remove();
+        updateRemoveButtons();
+        updateQuoteTotals();
+    });
+
+    document.getElementById('quoteItems').appendChild(row);
+    updateRemoveButtons();
+    updateQuoteTotals();
+}
+
+function resetQuoteItems() {
+    document.getElementById('quoteItems').innerHTML = '';
+    addQuoteItemRow();
+}
+
+function readQuoteItems() {
+    return [...document.querySelectorAll('.quote-item')].map(row => {
+        const quantity = parseFloat(row.querySelector('.item-qty').value) || 0;
+        const unitCost = parseFloat(row.querySelector('.item-cost').value) || 0;
+        const unitPrice = parseFloat(row.querySelector('.item-price').value) || 0;
+        const discountPercent = parseFloat(row.querySelector('.item-discount').value) || 0;
+        return {
+            offeringId: row.dataset.offeringId ? Number(row.dataset.offeringId) : null,
+            description: row.querySelector('.item-desc').value,
+            quantity,
+            unit: row.querySelector('.item-unit').value,
+            unitCost,
+            unitPrice,
+            discountPercent,
+            cost: roundCents(quantity * unitCost),
+            price: roundCents(quantity * unitPrice * (1 - discountPercent / 100))
+        };
+    });
+}
+
+document.getElementById('addItem').addEventListener('click', () => addQuoteItemRow());
+
+// Quotes are offered for a month unless the form says otherwise
+const QUOTE_VALIDITY_DAYS = 30;
+const defaultQuoteValidUntil = () => new Date(Date.now() + QUOTE_VALIDITY_DAYS * DAY_MS).toISOString().slice(0, 10);
+
+// What the builder has open: null for a new quote, otherwise
+// `{ mode: 'revise' | 'clone', quoteId, dealId }` - the deal the save goes to
+let quoteBuilderSource = null;
+
+// The deal's currency and the discount, tax region and terms chosen on the form
+function quoteFormPricing() {
+    const region = getTaxRegions().find(r => r.name === document.getElementById('quoteTaxRegion').value);
+    return {
+        currency: db.find('deals', quoteTargetDealId())?.currency || 'USD',
+        discountPercent: parseFloat(document.getElementById('quoteDiscount').value) || 0,
+        taxRegion: region?.name || null,
+        taxRate: region?.rate || 0,
+        paymentTerms: document.getElementById('quotePaymentTerms').value || PAYMENT_TERMS[0].value
+    };
+}
+
+function renderMilestones(total, termsValue, currency) {
+    return `
+        <h4>Payment Schedule</h4>
+        <table class="analytics-table">
+            <thead><tr><th>Milestone</th><th>Due</th><th>Share</th><th>Amount</th></tr></thead>
+            <tbody>
+                ${quoteMilestones(total, termsValue).map(milestone => `
+                    <tr>
+                        <td>${milestone.name}</td>
+                        <td>${milestone.due}</td>
+                        <td>${milestone.percent}%</td>
+                        <td>${formatMoney(milestone.amount, currency)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+function updateQuoteTotals() {
+    const items = readQuoteItems();
+    const pricing = quoteFormPricing();
+    const totals = computeQuoteTotals(items, pricing);
+    const money = (amount) => formatMoney(amount, pricing.currency);
+
+    document.querySelectorAll('.quote-item').forEach((row, index) => {
+        row.querySelector('.item-amount').textContent = money(items[index].price);
+    });
+
+    document.getElementById('quoteCurrency').textContent = pricing.currency;
+    document.getElementById('quoteSubtotal').textContent = money(totals.subtotal);
+    document.getElementById('quoteDiscountAmount').textContent = `-${money(totals.discountAmount)} (${pricing.discountPercent}%)`;
+    document.getElementById('quoteTaxAmount').textContent = `${money(totals.taxAmount)} (${pricing.taxRegion || 'No tax'}, ${pricing.taxRate}%)`;
+    document.getElementById('totalPrice').textContent = money(totals.totalPrice);
+    document.getElementById('totalCost').textContent = money(totals.totalCost);
+    document.getElementById('profitMargin').textContent = `${totals.margin}% (${money(totals.profit)})`;
+    document.getElementById('quoteMilestones').innerHTML = renderMilestones(totals.totalPrice, pricing.paymentTerms, pricing.currency);
+    document.getElementById('marginWarnings').innerHTML = renderMarginWarnings(marginViolations(items, pricing.discountPercent));
+    updateWorkflowTemplateHint(items);
+}
+
+document.getElementById('quotePaymentTerms').innerHTML = PAYMENT_TERMS.map(terms =>
+    `<option value="${terms.value}">${terms.label}</option>`).join('');
+document.getElementById('quoteDiscount').addEventListener('input', updateQuoteTotals);
+document.getElementById('quoteTaxRegion').addEventListener('change', updateQuoteTotals);
+document.getElementById('quotePaymentTerms').addEventListener('change', updateQuoteTotals);
+
+resetQuoteItems();
+document.getElementById('quoteValidUntil').value = defaultQuoteValidUntil();
+
+// Quote Revisions
+// Saving a reopened quote adds a revision rather than a second quote. Every
+// revision carries the id of the first one in originalId (null on the first
+// itself); saving a revision marks the older ones superseded and moves the
+// quote's workflow over to it. Cloning starts a new quote, in any deal.
+const quoteOriginalId = (quote) => quote.originalId ?? quote.id;
+
+function quoteRevisions(quote) {
+    return db.get('quotes')
+        .filter(q => quoteOriginalId(q) === quoteOriginalId(quote))
+        .sort((a, b) => (a.revision || 1) - (b.revision || 1));
+}
+
+// 1 -> A, 26 -> Z, 27 -> AA
+function revisionLetter(revision) {
+    let n = revision || 1;
+    let letters = '';
+    while (n > 0) {
+        n--;
+        letters = String.fromCharCode(65 + (n % 26)) + letters;
+        n = Math.floor(n / 26);
+    }
+    return letters;
+}
+
+// Quotes are numbered per deal in the order they were first created
+function quoteLabel(quote) {
+    const number = db.get('quotes')
+        .filter(q => q.dealId === quote.dealId && !q.originalId)
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .findIndex(q => q.id === quoteOriginalId(quote)) + 1;
+    return `${number ? `Quote ${number}` : 'Quote'} Rev ${revisionLetter(quote.revision)}`;
+}
+
+function quoteTargetDealId() {
+    return quoteBuilderSource ? quoteBuilderSource.dealId : currentDeal;
+}
+
+function renderQuoteBuilderMode() {
+    const banner = document.getElementById('quoteBuilderMode');
+    const saveBtn = document.getElementById('saveQuote');
+    const source = quoteBuilderSource && db.find('quotes', quoteBuilderSource.quoteId);
+    // A revision or clone may be for another deal, in another currency
+    loadOfferingOptions();
+    // Revisions keep the workflow they already have
+    document.getElementById('quoteWorkflowTemplateGroup').classList.toggle('hidden', quoteBuilderSource?.mode === 'revise' && !!source);
+
+    if (!source) {
+        banner.classList.add('hidden');
+        banner.innerHTML = '';
+        saveBtn.textContent = 'Save Quote';
+        return;
+    }
+
+    banner.classList.remove('hidden');
+    if (quoteBuilderSource.mode === 'revise') {
+        const next = (quoteRevisions(source).pop().revision || 1) + 1;
+        banner.innerHTML = `
+            <span>Revising <strong>${quoteLabel(source)}</strong>. Saving creates Rev ${revisionLetter(next)} and supersedes earlier revisions.</span>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="resetQuoteBuilder()">Cancel</button>
+        `;
+        saveBtn.textContent = `Save as Rev ${revisionLetter(next)}`;
+    } else {
+        banner.innerHTML = `
+            <span>Cloning <strong>${escapeHtml(dealCompanyName(source, source.client))} ${quoteLabel(source)}</strong> into</span>
+            <select id="quoteCloneDeal">
+                ${db.get('deals').map(deal => `<option value="${deal.id}">${escapeHtml(deal.companyName)}</option>`).join('')}
+            </select>
+            <button type="button" class="btn btn-secondary btn-sm" onclick="resetQuoteBuilder()">Cancel</button>
+        `;
+        const select = document.getElementById('quoteCloneDeal');
+        select.value = quoteBuilderSource.dealId;
+        select.addEventListener('change', () => {
+            quoteBuilderSource.dealId = parseInt(select.value);
+            document.getElementById('quoteClient').value = db.find('deals', quoteBuilderSource.dealId)?.companyName || '';
+            updateQuoteTotals();
+        });
+        saveBtn.textContent = 'Save Clone';
+    }
+}
+
+function openQuoteInBuilder(quoteId, mode) {
+    const quote = db.find('quotes', quoteId);
+    if (!quote) return;
+    if (mode === 'revise' && !canTransitionQuote(quote, 'superseded')) {
+        alert(`${quoteLabel(quote)} is ${quoteStatusLabel(quote.status).toLowerCase()} and can't be revised. Clone it to start a new quote.`);
+        return;
+    }
+
+    // Revisions stay in their quote's deal; clones default to the open one
+    quoteBuilderSource = { mode, quoteId, dealId: mode === 'revise' ? quote.dealId : (currentDeal ?? quote.dealId) };
+    document.querySelector('[data-page="quotes"]').click();
+
+    document.getElementById('quoteClient').value = quote.client || '';
+    // A SoW belongs to its deal, so clones start without one
+    document.getElementById('quoteSow').value = mode === 'revise' ? (quote.sowId || '') : '';
+    document.getElementById('quoteDiscount').value = quote.discountPercent || 0;
+    document.getElementById('quotePaymentTerms').value = paymentTerms(quote.paymentTerms).value;
+    document.getElementById('quoteWorkflowTemplate').value = '';
+    // Either way it's a new offer, so it gets a fresh validity period
+    document.getElementById('quoteValidUntil').value = defaultQuoteValidUntil();
+    if (getTaxRegions().some(region => region.name === quote.taxRegion)) {
+        document.getElementById('quoteTaxRegion').value = quote.taxRegion;
+    }
+
+    document.getElementById('quoteItems').innerHTML = '';
+    quote.items.forEach(item => addQuoteItemRow(item));
+    if (quote.items.length === 0) addQuoteItemRow();
+
+    renderQuoteBuilderMode();
+    updateQuoteTotals();
+    document.getElementById('quoteForm').scrollIntoView?.({ behavior: 'smooth' });
+}
+
+function resetQuoteBuilder() {
+    quoteBuilderSource = null;
+    document.getElementById('quoteForm').reset();
+    document.getElementById('quoteValidUntil').value = defaultQuoteValidUntil();
+    resetQuoteItems();
+    renderQuoteBuilderMode();
+}
+
+// Every workflow opens with the quote's own steps and the template's follow
+// the signature, each group waiting on the one before. Upfront payments are
+// collected alongside them and the template's last step waits for those too,
+// so work doesn't start unpaid.
+function quotePaymentSteps(quote) {
+    return quoteMilestones(quote.totalPrice, quote.paymentTerms)
+        .filter(milestone => milestone.upfront)
+        .map((milestone, index) => workflowStep(
+            { name: `${milestone.percent}% ${milestone.name}`, ownerRole: 'Finance', slaDays: 14, evidence: 'Payment reference' },
+            `payment-${index + 1}`,
+            [SIGNATURE_STEP.key]
+        ));
+}
+
+function quoteWorkflowSteps(quote, needsApproval, template) {
+    const payments = quotePaymentSteps(quote);
+
+    // The form refuses empty templates, but a backup or another client may not
+    const { steps: stepsToCopy } = template.steps?.length > 0 ? template : STANDARD_WORKFLOW_TEMPLATE;
+    let previousGroup = [SIGNATURE_STEP.key];
+    let group = [];
+    const templateSteps = stepsToCopy.map((step, index) => {
+        const key = `step-${index + 1}`;
+        if (!step.parallel || group.length === 0) {
+            if (group.length > 0) previousGroup = group;
+            group = [];
+        }
+        group.push(key);
+        return workflowStep(step, key, [...previousGroup]);
+    });
+    const last = templateSteps[templateSteps.length - 1];
+    last.dependsOn = [...last.dependsOn, ...payments.map(step => step.key)];
+
+    const steps = [
+        workflowStep(QUOTE_SENT_STEP, QUOTE_SENT_STEP.key, []),
+        workflowStep(SIGNATURE_STEP, SIGNATURE_STEP.key, [QUOTE_SENT_STEP.key]),
+        ...templateSteps.slice(0, -1),
+        ...payments,
+        last
+    ];
+
+    if (!needsApproval) Object.assign(steps[0], { completed: true, date: new Date().toISOString() });
+    return steps;
+}
+
+// Swaps in payment steps for the revision's terms and total. A payment that is
+// still due (same name) keeps its progress; the last step waits on the new set.
+function revisePaymentSteps(steps, quote) {
+    const isPayment = (step) => step.key?.startsWith('payment-');
+    const oldKeys = steps.filter(isPayment).map(step => step.key);
+    const payments = quotePaymentSteps(quote).map(fresh => {
+        const old = steps.find(step => isPayment(step) && step.name === fresh.name);
+        return old ? { ...old, key: fresh.key, dependsOn: fresh.dependsOn } : fresh;
+    });
+
+    const rest = steps.filter(step => !isPayment(step))
+        .map(step => ({ ...step, dependsOn: step.dependsOn.filter(key => !oldKeys.includes(key)) }));
+    const last = rest.pop();
+    return [...rest, ...payments, { ...last, dependsOn: [...last.dependsOn, ...payments.map(step => step.key)] }];
+}
+
+// A revision that needs approval sends the workflow back to wait for it; one
+// that doesn't counts as sent, like a new quote
+function revisedWorkflowUpdates(workflow, quote, needsApproval) {
+    let steps = workflow.steps.map(step => ({ ...step }));
+    const previous = db.find('quotes', workflow.quoteId);
+    const termsChanged = !previous || previous.paymentTerms !== quote.paymentTerms || previous.totalPrice !== quote.totalPrice;
+    // Workflows from before steps had keys have no payment steps to rebuild
+    if (termsChanged && steps.every(step => step.key)) steps = revisePaymentSteps(steps, quote);
+    if (needsApproval) {
+        steps[0] = { ...steps[0], completed: false, date: null };
+        return { quoteId: quote.id, steps, status: 'pending_approval' };
+    }
+    if (!isStepDone(steps[0])) steps[0] = { ...steps[0], completed: true, date: new Date().toISOString() };
+    // Closed workflows belonged to a declined or expired quote, which was never signed
+    const waiting = ['pending_approval', 'approval_rejected', 'closed'].includes(workflow.status);
+    return { quoteId: quote.id, steps, status: waiting ? 'pending_signature' : workflow.status };
+}
+
+document.getElementById('quoteForm').addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const client = document.getElementById('quoteClient').value;
+    const items = readQuoteItems();
+    const pricing = quoteFormPricing();
+    const totals = computeQuoteTotals(items, pricing);
+    const dealId = quoteTargetDealId();
+
+    if (!dealId) {
+        alert('Please select or create a deal first!');
+        return;
+    }
+
+    const violations = marginViolations(items, pricing.discountPercent);
+    const blocked = violations.filter(v => v.action === 'block');
+    if (blocked.length > 0) {
+        alert(`This quote is below a hard margin floor and can't be saved:\n${blocked.map(describeViolation).join('\n')}`);
+        return;
+    }
+    const needsApproval = violations.length > 0;
+    const template = selectedWorkflowTemplate(items);
+
+    const source = quoteBuilderSource?.mode === 'revise' ? db.find('quotes', quoteBuilderSource.quoteId) : null;
+    const revisions = source ? quoteRevisions(source) : [];
+
+    const quote = await db.add('quotes', {
+        dealId,
+        sowId: parseInt(document.getElementById('quoteSow').value) || null,
+        originalId: source ? quoteOriginalId(source) : null,
+        revision: source ? (revisions[revisions.length - 1].revision || 1) + 1 : 1,
+        client,
+        items,
+        ...pricing,
+        ...totals,
+        validUntil: document.getElementById('quoteValidUntil').value || defaultQuoteValidUntil(),
+        status: needsApproval ? 'draft' : 'sent',
+        approvalStatus: needsApproval ? 'pending' : null,
+        approvalReasons: needsApproval ? violations : null
+    });
+    if (!quote) return;
+
+    // The new revision's workflow is the one earlier revisions used, if any
+    const workflow = source && db.get('workflows').find(w => revisions.some(r => r.id === w.quoteId));
+    const supersede = revisions
+        .filter(r => r.status !== 'superseded')
+        .map(r => ({ type: 'update', table: 'quotes', id: r.id, updates: { status: 'superseded' } }));
+    if (workflow) {
+        await db.batch([
+            ...supersede,
+            { type: 'update', table: 'workflows', id: workflow.id, updates: revisedWorkflowUpdates(workflow, quote, needsApproval) }
+        ]);
+    } else {
+        if (supersede.length > 0) await db.batch(supersede);
+        await db.add('workflows', {
+            dealId,
+            quoteId: quote.id,
+            templateId: template.id,
+            client,
+            status: needsApproval ? 'pending_approval' : 'pending_signature',
+            steps: quoteWorkflowSteps(quote, needsApproval, template)
+        });
+    }
+
+    const saved = source ? `Saved ${quoteLabel(quote)}.` : 'Quote saved!';
+    alert(needsApproval
+        ? `${saved} It is below the margin floor, so it needs approval (see Approvals) before it can be sent.`
+        : `${saved} Check the Workflow page to track progress.`);
+
+    resetQuoteBuilder();
+    loadQuotesList();
+    updateDashboard();
+});
+
+function loadQuotesList() {
+    const quotes = db.get('quotes').filter(q => q.dealId === currentDeal);
+    const listDiv = document.getElementById('quotesList');
+
+    if (!currentDeal) {
+        listDiv.innerHTML = '<div class="empty-state"><p>Please select a deal to view quotes.</p></div>';
+        return;
+    }
+
+    if (quotes.length === 0) {
+        listDiv.innerHTML = '<div class="empty-state"><p>No quotes generated for this deal yet.</p></div>';
+    } else {
+        listDiv.innerHTML = quotes.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt)).map(quote => {
+            const superseded = quote.status === 'superseded';
+            const latest = quoteRevisions(quote).pop();
+            const revisable = canTransitionQuote(quote, 'superseded');
+            return `
+            <div class="list-item ${superseded ? 'superseded' : ''}">
+                <h4>${escapeHtml(dealCompanyName(quote, quote.client))} - ${quoteLabel(quote)}</h4>
+                ${superseded ? `<p class="help-text">Superseded by ${quoteLabel(latest)}</p>` : ''}
+                ${quote.sowId && db.find('sows', quote.sowId) ? `<p><strong>Built from:</strong> ${sowLabel(db.find('sows', quote.sowId))}</p>` : ''}
+                <p><strong>Total:</strong> ${formatMoney(quote.totalPrice, quote.currency || 'USD')}</p>
+                <p><strong>Payment Terms:</strong> ${paymentTerms(quote.paymentTerms).label}</p>
+                <p><strong>Profit Margin:</strong> ${quote.margin}%</p>
+                <p><strong>Status:</strong> <span class="status-badge quote-${quote.status}">${quoteStatusLabel(quote.status)}</span></p>
+                ${quote.validUntil && !superseded ? `<p><strong>${quote.status === 'expired' ? 'Expired' : 'Valid Until'}:</strong> ${new Date(`${quote.validUntil}T00:00:00`).toLocaleDateString()}</p>` : ''}
+                ${quote.approvalStatus ? `<p><strong>Approval:</strong> <span class="status-badge approval-${quote.approvalStatus}">${quote.approvalStatus}</span>${quote.approvalComment ? ` - ${escapeHtml(quote.approvalComment)}` : ''}</p>` : ''}
+                <p style="margin-top: 0.5rem; font-size: 0.875rem;">${quote.items.length} items - Created ${new Date(quote.createdAt).toLocaleDateString()}</p>
+                <div class="quote-actions">
+                    ${revisable ? `<button class="btn btn-primary btn-sm" onclick="openQuoteInBuilder(${quote.id}, 'revise')">Revise</button>` : ''}
+                    ${quote.status === 'sent' ? `<button class="btn btn-danger btn-sm" onclick="rejectQuote(${quote.id})">Client Declined</button>` : ''}
+                    <button class="btn btn-secondary btn-sm" onclick="openQuoteInBuilder(${quote.id}, 'clone')">Clone</button>
+                    <button class="btn btn-secondary btn-sm" onclick="showRecordHistory('quotes', ${quote.id})">History</button>
+                    <button class="btn btn-secondary btn-sm" onclick="exportQuote(${quote.id}, 'pdf')">Client PDF</button>
+                    <button class="btn btn-secondary btn-sm" onclick="exportQuote(${quote.id}, 'docx')">Client DOCX</button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+}
+
+// Quote Approvals
+// The queue spans every deal: it is where a manager works through all quotes
+// below their margin floor. Approving one sends it (completes the workflow's
+// "Quote Sent" step); rejecting one leaves it unsendable.
+function loadApprovals() {
+    const queueDiv = document.getElementById('approvalQueue');
+    if (!queueDiv) return;
+
+    const approverInput = document.getElementById('approverName');
+    if (!approverInput.value) approverInput.value = localStorage.getItem('userName') || '';
+
+    const quotes = db.get('quotes').filter(q => q.approvalStatus);
+    const pending = quotes.filter(q => q.approvalStatus === 'pending' && q.status !== 'superseded')
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const decided = quotes.filter(q => q.approvalStatus !== 'pending')
+        .sort((a, b) => new Date(b.approvalDecidedAt) - new Date(a.approvalDecidedAt))
+        .slice(0, 10);
+
+    queueDiv.innerHTML = pending.length === 0
+        ? '<div class="empty-state"><p>No quotes are waiting for approval.</p></div>'
+        : pending.map(quote => `
+            <div class="list-item approval-item">
+                <h4>${escapeHtml(dealCompanyName(quote, quote.client))} ${quoteLabel(quote)} - ${formatMoney(quote.totalPrice, quote.currency || 'USD')}</h4>
+                <p><strong>Overall margin:</strong> ${quote.margin}% &middot; ${quote.items.length} items &middot; Saved ${new Date(quote.createdAt).toLocaleDateString()}</p>
+                <ul>${(quote.approvalReasons || []).map(v => `<li>${escapeHtml(describeViolation(v))}</li>`).join('')}</ul>
+                <textarea id="approvalComment-${quote.id}" rows="2" placeholder="Comment (required)"></textarea>
+                <div class="quote-actions">
+                    <button class="btn btn-primary btn-sm" onclick="decideQuoteApproval(${quote.id}, 'approved')">Approve</button>
+                    <button class="btn btn-danger btn-sm" onclick="decideQuoteApproval(${quote.id}, 'rejected')">Reject</button>
+                </div>
+            </div>
+        `).join('');
+
+    document.getElementById('approvalHistory').innerHTML = decided.length === 0
+        ? '<div class="empty-state"><p>No decisions yet.</p></div>'
+        : decided.map(quote => `
+            <div class="list-item">
+                <h4>${escapeHtml(dealCompanyName(quote, quote.client))} ${quoteLabel(quote)} - ${formatMoney(quote.totalPrice, quote.currency || 'USD')}
+                    <span class="status-badge approval-${quote.approvalStatus}">${quote.approvalStatus}</span></h4>
+                <p>${escapeHtml(quote.approvalDecidedBy || '')}${quote.approvalDecidedAt ? `, ${new Date(quote.approvalDecidedAt).toLocaleString()}` : ''}: ${escapeHtml(quote.approvalComment || '')}</p>
+            </div>
+        `).join('');
+}
+
+async function decideQuoteApproval(quoteId, decision) {
+    const quote = db.find('quotes', quoteId);
+    if (!quote) return;
+
+    const comment = document.getElementById(`approvalComment-${quoteId}`).value.trim();
+    const approver = document.getElementById('approverName').value.trim();
+    if (!comment || !approver) {
+        alert('Enter your name and a comment to record the decision.');
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const updated = await db.update('quotes', quoteId, {
+        approvalStatus: decision,
+        approvalComment: comment,
+        approvalDecidedBy: approver,
+        approvalDecidedAt: now
+    });
+    if (!updated) return;
+
+    const workflow = db.get('workflows').find(w => w.quoteId === quoteId);
+    if (workflow) {
+        const steps = workflow.steps.map((step, index) =>
+            index === 0 && decision === 'approved' ? { ...step, completed: true, date: now } : step);
+        await saveWorkflowSteps(workflow, steps, {
+            status: decision === 'approved' ? 'pending_signature' : 'approval_rejected'
+        });
+    }
+
+    loadApprovals();
+    updateDashboard();
+}
+
+// Quote Lifecycle
+// A quote is a draft until its workflow's Quote Sent step is done (held back
+// while margin approval is pending), sent until Signature Received is, and
+// then accepted - which also moves the deal to Closed Won. Reopening those
+// steps moves it back. A client can decline a sent quote, quotes nobody has
+// accepted expire after their valid-until date, and a new revision supersedes
+// the ones before it. Declined and expired quotes can still be revised.
+const QUOTE_STATUSES = {
+    draft: { label: 'Draft', next: ['sent', 'expired', 'superseded'] },
+    sent: { label: 'Sent', next: ['draft', 'accepted', 'rejected', 'expired', 'superseded'] },
+    accepted: { label: 'Accepted', next: ['sent'] },
+    rejected: { label: 'Declined', next: ['superseded'] },
+    expired: { label: 'Expired', next: ['superseded'] },
+    superseded: { label: 'Superseded', next: [] }
+};
+const QUOTE_OPEN_STATUSES = ['draft', 'sent'];
+
+const quoteStatusLabel = (status) => QUOTE_STATUSES[status]?.label || status;
+
+function canTransitionQuote(quote, status) {
+    return QUOTE_STATUSES[quote.status]?.next.includes(status) ?? false;
+}
+
+// Where the workflow's steps put the quote. Only a completed step counts here:
+// a skipped signature is not an acceptance.
+function quoteStatusFromWorkflow(workflow, steps = workflow.steps) {
+    const graph = workflowGraph({ ...workflow, steps });
+    const done = (key) => graph.some(node => node.key === key && node.step.completed);
+    if (done(SIGNATURE_STEP.key)) return 'accepted';
+    if (done(QUOTE_SENT_STEP.key)) return 'sent';
+    return 'draft';
+}
+
+const quoteExpired = (quote) => !!quote.validUntil && quote.validUntil < new Date().toISOString().slice(0, 10);
+
+// The write that brings a quote in line with its workflow, if it needs one
+function quoteStatusUpdate(workflow, steps) {
+    const quote = workflow.quoteId ? db.find('quotes', workflow.quoteId) : null;
+    if (!quote) return null;
+    const status = quoteStatusFromWorkflow(workflow, steps);
+    if (!canTransitionQuote(quote, status)) return null;
+    return { type: 'update', table: 'quotes', id: quote.id, updates: { status } };
+}
+
+// Saves the workflow's steps along with the quote status they imply, and
+// closes the deal as won once the quote is accepted
+async function saveWorkflowSteps(workflow, steps, updates = {}) {
+    const quoteUpdate = quoteStatusUpdate(workflow, steps);
+    const saved = await db.batch([
+        { type: 'update', table: 'workflows', id: workflow.id, updates: { ...updates, steps } },
+        ...(quoteUpdate ? [quoteUpdate] : [])
+    ]);
+    if (!saved || quoteUpdate?.updates.status !== 'accepted') return saved;
+
+    const deal = db.find('deals', workflow.dealId);
+    if (deal && deal.stage !== 'closed-won') await changeDealStage(deal, 'closed-won');
+    return saved;
+}
+
+// A declined or expired quote's workflow stops: it is closed so its steps no
+// longer count as active or overdue. Revising the quote picks it up again.
+const WORKFLOW_FINISHED_STATUSES = ['completed', 'closed'];
+
+const isWorkflowActive = (workflow) => !WORKFLOW_FINISHED_STATUSES.includes(workflow.status);
+
+function closeQuoteWorkflowOps(quoteId) {
+    return db.get('workflows')
+        .filter(w => w.quoteId === quoteId && isWorkflowActive(w))
+        .map(w => ({ type: 'update', table: 'workflows', id: w.id, updates: { status: 'closed' } }));
+}
+
+async function rejectQuote(quoteId) {
+    const quote = db.find('quotes', quoteId);
+    if (!quote || !canTransitionQuote(quote, 'rejected')) return;
+    if (!confirm(`Mark ${quoteLabel(quote)} as declined by the client? Its workflow stops here; revise it to make a new offer.`)) return;
+
+    await db.batch([
+        { type: 'update', table: 'quotes', id: quote.id, updates: { status: 'rejected' } },
+        ...closeQuoteWorkflowOps(quote.id)
+    ]);
+    loadQuotesList();
+    updateDashboard();
+}
+
+// Run at startup: expires lapsed quotes, and gives quotes saved before the
+// lifecycle existed (status 'pending') the status their workflow implies
+async function updateQuoteStatuses() {
+    const workflows = db.get('workflows');
+    const ops = db.get('quotes').flatMap(quote => {
+        let status = quote.status;
+        if (!QUOTE_STATUSES[status]) {
+            const workflow = workflows.find(w => w.quoteId === quote.id);
+            status = workflow ? quoteStatusFromWorkflow(workflow) : 'sent';
+        }
+        if (QUOTE_OPEN_STATUSES.includes(status) && quoteExpired(quote)) status = 'expired';
+        if (status === quote.status) return [];
+        return [
+            { type: 'update', table: 'quotes', id: quote.id, updates: { status } },
+            ...(status === 'expired' ? closeQuoteWorkflowOps(quote.id) : [])
+        ];
     });
+    if (ops.length === 0) return false;
+    await db.batch(ops);
+    return true;
+}
+
+// Quotes can lapse while the app is open; check on the outbox's beat and
+// redraw the page showing if any did
+setInterval(async () => {
+    if (await updateQuoteStatuses()) refreshCurrentPage();
+}, SYNC_INTERVAL_MS);
 
-    alert('Quote generated successfully! Check the Workflow page to track progress.');
+// Workflow Tracker
+// A workflow is a small graph: each step lists the keys of the steps it waits
+// on in dependsOn, and a step is unblocked once all of those are done. Any
+// step can be completed once unblocked, skipped (with a note saying why) or
+// reopened. Each step is due its SLA after the last of its dependencies was
+// done - or, while one is still open, was due - and steps with no
+// dependencies count from the day the workflow started. Steps without an SLA
+// have no due date.
+const isStepDone = (step) => step.completed || step.skipped;
+
+// Steps saved before dependencies existed run one after another, and always
+// opened with Quote Sent and Signature Received
+function workflowGraph(workflow) {
+    const legacyKeys = ['sent', 'signature'];
+    const keys = workflow.steps.map((step, index) => step.key ?? legacyKeys[index] ?? `step-${index}`);
+    return workflow.steps.map((step, index) => ({
+        step,
+        index,
+        key: keys[index],
+        dependsOn: step.dependsOn ?? (index > 0 ? [keys[index - 1]] : [])
+    }));
+}
 
-    loadQuotesList();
-    updateDashboard();
+// The open steps a step is still waiting on
+function blockingSteps(graph, node) {
+    return node.dependsOn
+        .map(key => graph.find(other => other.key === key))
+        .filter(other => other && !isStepDone(other.step));
+}
 
-    // Reset form
-    e.target.reset();
-    document.getElementById('quoteItems').innerHTML = `
-        <div class="quote-item">
-            <input type="text" placeholder="Item description" class="item-desc" required>
-            <input type="number" placeholder="Cost" class="item-cost" min="0" step="0.01" required>
-            <input type="number" placeholder="Price" class="item-price" min="0" step="0.01" required>
-            <button type="button" class="btn-icon remove-item" disabled>
-                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                    <line x1="18" y1="6" x2="6" y2="18"></line>
-                    <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-            </button>
-        </div>
-    `;
-    quoteItemCount = 1;
-    updateQuoteTotals();
-});
+function workflowDueDates(workflow) {
+    const start = new Date(workflow.createdAt);
+    const anchors = {};
+    return workflowGraph(workflow).map(({ step, key, dependsOn }) => {
+        const from = dependsOn.reduce((latest, dep) => anchors[dep] > latest ? anchors[dep] : latest, start);
+        const due = step.slaDays != null ? new Date(from.getTime() + step.slaDays * DAY_MS) : null;
+        anchors[key] = isStepDone(step) && step.date ? new Date(step.date) : (due || from);
+        return due;
+    });
+}
 
-function loadQuotesList() {
-    const quotes = db.get('quotes').filter(q => (q.deal_id || q.dealId) === currentDeal);
-    const listDiv = document.getElementById('quotesList');
+// Open steps past their due date, across every deal's active workflows
+function overdueWorkflowSteps(workflows = db.get('workflows')) {
+    const now = new Date();
+    return workflows.filter(isWorkflowActive).flatMap(workflow => {
+        const dueDates = workflowDueDates(workflow);
+        return workflow.steps
+            .map((step, index) => ({ workflow, step, index, due: dueDates[index] }))
+            .filter(({ step, due }) => due && due < now && !isStepDone(step));
+    }).sort((a, b) => a.due - b.due);
+}
 
-    if (!currentDeal) {
-        listDiv.innerHTML = '<div class="empty-state"><p>Please select a deal to view quotes.</p></div>';
-        return;
-    }
+function describeOverdue(due) {
+    const days = Math.floor((new Date() - due) / DAY_MS);
+    const late = days > 0 ? `Overdue by ${days} day${days === 1 ? '' : 's'}` : 'Overdue';
+    return `${late} - was due ${due.toLocaleDateString()}`;
+}
 
-    if (quotes.length === 0) {
-        listDiv.innerHTML = '<div class="empty-state"><p>No quotes generated for this deal yet.</p></div>';
-    } else {
-        listDiv.innerHTML = quotes.reverse().map(quote => `
-            <div class="list-item">
-                <h4>${quote.client}</h4>
-                <p><strong>Total:</strong> $${(quote.total_price || quote.totalPrice || 0).toFixed(2)}</p>
-                <p><strong>Profit Margin:</strong> ${quote.margin}%</p>
-                <p><strong>Status:</strong> <span class="status-badge ${quote.status}">${quote.status}</span></p>
-                <p style="margin-top: 0.5rem; font-size: 0.875rem;">${quote.items.length} items - Created ${new Date(quote.created_at || quote.createdAt).toLocaleDateString()}</p>
-            </div>
-        `).join('');
-    }
+// Re-derives the status after steps change: done once every step is, in
+// progress once the signature is in, otherwise still waiting on the quote.
+// A closed workflow stays closed until its quote is revised.
+function workflowStatus(workflow, steps) {
+    if (workflow.status === 'closed') return 'closed';
+    const graph = workflowGraph({ ...workflow, steps });
+    if (graph.every(node => isStepDone(node.step))) return 'completed';
+    const signature = graph.find(node => node.key === SIGNATURE_STEP.key);
+    if (signature?.step.completed) return 'in_progress';
+    return ['pending_approval', 'approval_rejected'].includes(workflow.status) ? workflow.status : 'pending_signature';
 }
 
-// Workflow Tracker
 function loadWorkflows() {
-    const workflows = db.get('workflows').filter(w => (w.deal_id || w.dealId) === currentDeal);
+    const workflows = db.get('workflows').filter(w => w.dealId === currentDeal);
     const listDiv = document.getElementById('workflowList');
 
     if (!currentDeal) {
@@ -830,62 +2935,171 @@ function loadWorkflows() {
         listDiv.innerHTML = '<div class="empty-state"><p>No active workflows. Create a quote to start a workflow.</p></div>';
     } else {
         listDiv.innerHTML = workflows.reverse().map(workflow => {
-            const completedSteps = workflow.steps.filter(s => s.completed).length;
+            const completedSteps = workflow.steps.filter(isStepDone).length;
             const totalSteps = workflow.steps.length;
             const progress = ((completedSteps / totalSteps) * 100).toFixed(0);
+            const template = workflow.templateId ? db.find('workflow_templates', workflow.templateId) : null;
+            const dueDates = workflowDueDates(workflow);
+            const overdue = overdueWorkflowSteps([workflow]);
+            const graph = workflowGraph(workflow);
 
             return `
                 <div class="card">
-                    <h3>${workflow.client}</h3>
+                    <h3>${escapeHtml(dealCompanyName(workflow, workflow.client))}</h3>
+                    ${template ? `<p class="help-text">From the ${escapeHtml(template.name)} template</p>` : ''}
                     <div class="workflow-status">
                         <span class="status-badge ${workflow.status.replace('_', '-')}">${workflow.status.replace('_', ' ')}</span>
+                        ${overdue.length > 0 ? `<span class="status-badge overdue">${overdue.length} overdue</span>` : ''}
                         <span style="margin-left: auto; color: var(--text-muted);">${progress}% Complete</span>
                     </div>
                     <div style="margin-top: 1.5rem;">
-                        ${workflow.steps.map(step => `
-                            <div style="display: flex; align-items: center; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid var(--border);">
-                                <div style="width: 24px; height: 24px; border-radius: 50%; background: ${step.completed ? 'var(--success)' : 'var(--dark)'}; border: 2px solid ${step.completed ? 'var(--success)' : 'var(--border)'}; display: flex; align-items: center; justify-content: center;">
+                        ${graph.map(node => {
+                            const { step, index } = node;
+                            const due = dueDates[index];
+                            const late = overdue.some(o => o.index === index);
+                            const waitingOn = isStepDone(step) ? [] : blockingSteps(graph, node);
+                            return `
+                            <div class="workflow-step ${late ? 'overdue' : ''} ${waitingOn.length > 0 ? 'blocked' : ''}" style="display: flex; align-items: center; gap: 1rem; padding: 0.75rem 0; border-bottom: 1px solid var(--border);">
+                                <div style="width: 24px; height: 24px; border-radius: 50%; background: ${step.completed ? 'var(--success)' : 'var(--dark)'}; border: 2px solid ${isStepDone(step) ? 'var(--success)' : 'var(--border)'}; display: flex; align-items: center; justify-content: center;">
                                     ${step.completed ? '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="white" stroke-width="3"><polyline points="20 6 9 17 4 12"></polyline></svg>' : ''}
                                 </div>
                                 <div style="flex: 1;">
-                                    <p style="font-weight: 500; color: ${step.completed ? 'var(--text)' : 'var(--text-muted)'};">${step.name}</p>
+                                    <p style="font-weight: 500; color: ${isStepDone(step) ? 'var(--text)' : 'var(--text-muted)'};">${escapeHtml(step.name)}${step.skipped ? ' <span class="status-badge skipped">skipped</span>' : ''}</p>
+                                    ${describeWorkflowStep(step) ? `<p class="workflow-step-meta">${escapeHtml(describeWorkflowStep(step))}</p>` : ''}
+                                    ${step.evidenceNote ? `<p class="workflow-step-meta">Evidence: ${escapeHtml(step.evidenceNote)}</p>` : ''}
+                                    ${step.skipNote ? `<p class="workflow-step-meta">Skipped because: ${escapeHtml(step.skipNote)}</p>` : ''}
+                                    ${isStepDone(step) ? '' : waitingOn.length > 0
+                                        ? `<p class="workflow-step-meta">Waiting on ${waitingOn.map(other => escapeHtml(other.step.name)).join(', ')}</p>`
+                                        : '<p class="workflow-step-ready">Ready to start</p>'}
                                     ${step.date ? `<p style="font-size: 0.75rem; color: var(--text-muted);">${new Date(step.date).toLocaleDateString()}</p>` : ''}
+                                    ${due && !isStepDone(step) ? `<p class="workflow-step-due">${late ? describeOverdue(due) : `Due ${due.toLocaleDateString()}`}</p>` : ''}
+                                </div>
+                                <input type="text" class="workflow-step-assignee" value="${escapeHtml(step.assignee || '')}" placeholder="Assignee"
+                                    onchange="assignWorkflowStep(${workflow.id}, ${index}, this.value)">
+                                <div class="workflow-step-actions">
+                                    ${isStepDone(step)
+                                        ? `<button class="btn btn-secondary btn-sm" onclick="setWorkflowStep(${workflow.id}, ${index}, 'reopen')">Reopen</button>`
+                                        : `<button class="btn btn-primary btn-sm" onclick="setWorkflowStep(${workflow.id}, ${index}, 'complete')" ${waitingOn.length > 0 ? 'disabled' : ''}>Complete</button>
+                                           ${canSkipWorkflowStep(node) ? `<button class="btn btn-secondary btn-sm" onclick="setWorkflowStep(${workflow.id}, ${index}, 'skip')">Skip</button>` : ''}`}
                                 </div>
                             </div>
-                        `).join('')}
+                        `;
+                        }).join('')}
                     </div>
-                    <button class="btn btn-primary" style="margin-top: 1.5rem;" onclick="advanceWorkflow(${workflow.id})">
+                    ${isWorkflowActive(workflow) ? `<button class="btn btn-primary" style="margin-top: 1.5rem;" onclick="advanceWorkflow(${workflow.id})">
                         Complete Next Step
-                    </button>
+                    </button>` : ''}
                 </div>
             `;
         }).join('');
     }
 }
 
-async function advanceWorkflow(workflowId) {
-    const workflows = db.get('workflows');
-    const workflow = workflows.find(w => w.id === workflowId);
+function loadOverdueSteps() {
+    const listDiv = document.getElementById('overdueSteps');
+    const overdue = overdueWorkflowSteps();
 
-    if (!workflow) return;
+    if (overdue.length === 0) {
+        listDiv.innerHTML = '<div class="empty-state"><p>Nothing overdue.</p></div>';
+        return;
+    }
 
-    const nextStep = workflow.steps.find(s => !s.completed);
-    if (nextStep) {
-        nextStep.completed = true;
-        nextStep.date = new Date().toISOString();
-
-        // Update status based on progress
-        const completedSteps = workflow.steps.filter(s => s.completed).length;
-        if (completedSteps === workflow.steps.length) {
-            workflow.status = 'completed';
-        } else if (completedSteps > 1) {
-            workflow.status = 'in_progress';
-        }
+    listDiv.innerHTML = overdue.map(({ workflow, step, due }) => `
+        <div class="list-item overdue-step">
+            <h4>${escapeHtml(dealCompanyName(workflow, workflow.client))} - ${escapeHtml(step.name)}</h4>
+            <p>${[step.assignee ? `Assigned to ${escapeHtml(step.assignee)}` : null, step.ownerRole].filter(Boolean).join(' · ') || 'Unassigned'}</p>
+            <p class="workflow-step-due">${describeOverdue(due)}</p>
+        </div>
+    `).join('');
+}
 
-        await db.set('workflows', workflows);
-        loadWorkflows();
-        updateDashboard();
+// Sending the quote and getting it signed decide its status, so they have to
+// actually happen; a declined quote is marked as such from the quote list
+function canSkipWorkflowStep(node) {
+    return ![QUOTE_SENT_STEP.key, SIGNATURE_STEP.key].includes(node.key);
+}
+
+// Quotes held for margin approval, declined by the client or expired can't
+// move their workflow along
+function quoteBlocksWorkflow(workflow) {
+    const quote = workflow.quoteId ? db.find('quotes', workflow.quoteId) : null;
+    if (!quote) return false;
+
+    let reason = null;
+    if (quote.approvalStatus === 'pending') reason = 'This quote is waiting for margin approval and cannot be sent yet.';
+    else if (quote.approvalStatus === 'rejected') reason = 'This quote was rejected in margin review and cannot be sent.';
+    else if (quote.status === 'rejected') reason = 'The client declined this quote. Revise it to make a new offer.';
+    else if (quote.status === 'expired' || (QUOTE_OPEN_STATUSES.includes(quote.status) && quoteExpired(quote))) {
+        reason = 'This quote has expired. Revise it to send a new one.';
+    }
+    if (reason) alert(reason);
+    return !!reason;
+}
+
+async function setWorkflowStep(workflowId, index, action) {
+    const workflow = db.find('workflows', workflowId);
+    if (!workflow || !workflow.steps[index]) return;
+    if (action !== 'reopen' && quoteBlocksWorkflow(workflow)) return;
+
+    const steps = workflow.steps.map(s => ({ ...s }));
+    const step = steps[index];
+    const now = new Date().toISOString();
+
+    if (action === 'complete') {
+        const graph = workflowGraph(workflow);
+        const waitingOn = blockingSteps(graph, graph[index]);
+        if (waitingOn.length > 0) {
+            alert(`"${step.name}" is waiting on ${waitingOn.map(other => other.step.name).join(', ')}.`);
+            return;
+        }
+        if (step.evidence) {
+            const note = prompt(`"${step.name}" needs evidence before it can be completed: ${step.evidence}`);
+            if (note === null) return;
+            if (!note.trim()) {
+                alert('Evidence is required to complete this step.');
+                return;
+            }
+            step.evidenceNote = note.trim();
+        }
+        Object.assign(step, { completed: true, skipped: false, skipNote: null, date: now });
+    } else if (action === 'skip') {
+        if (!canSkipWorkflowStep(workflowGraph(workflow)[index])) {
+            alert(`"${step.name}" can't be skipped. If the client declined the quote, mark it declined from the quote list.`);
+            return;
+        }
+        const note = prompt(`Why is "${step.name}" being skipped?`);
+        if (note === null) return;
+        if (!note.trim()) {
+            alert('A note is required to skip a step.');
+            return;
+        }
+        Object.assign(step, { completed: false, skipped: true, skipNote: note.trim(), date: now });
+    } else if (action === 'reopen') {
+        Object.assign(step, { completed: false, skipped: false, skipNote: null, evidenceNote: null, date: null });
     }
+
+    await saveWorkflowSteps(workflow, steps, { status: workflowStatus(workflow, steps) });
+    loadWorkflows();
+    updateDashboard();
+}
+
+async function advanceWorkflow(workflowId) {
+    const workflow = db.find('workflows', workflowId);
+    if (!workflow) return;
+
+    // The first step that isn't waiting on anything
+    const graph = workflowGraph(workflow);
+    const next = graph.find(node => !isStepDone(node.step) && blockingSteps(graph, node).length === 0);
+    if (next) await setWorkflowStep(workflowId, next.index, 'complete');
+}
+
+async function assignWorkflowStep(workflowId, index, assignee) {
+    const workflow = db.find('workflows', workflowId);
+    if (!workflow || !workflow.steps[index]) return;
+
+    const steps = workflow.steps.map((step, i) => i === index ? { ...step, assignee: assignee.trim() || null } : step);
+    await db.update('workflows', workflowId, { steps });
+    updateDashboard();
 }
 
 // ORDER Framework
@@ -902,12 +3116,12 @@ document.getElementById('saveOrderNotes')?.addEventListener('click', async () =>
         deep: document.querySelector('[data-step="deep"] .step-notes').value,
         enablement: document.querySelector('[data-step="enablement"] .step-notes').value,
         resources: document.querySelector('[data-step="resources"] .step-notes').value,
-        checked_questions: []
+        checkedQuestions: []
     };
 
     // Collect checked questions
     document.querySelectorAll('.question-item input[type="checkbox"]:checked').forEach(cb => {
-        orderData.checked_questions.push(cb.id);
+        orderData.checkedQuestions.push(cb.id);
     });
 
     await db.add('order_sessions', orderData);
@@ -978,7 +3192,7 @@ document.getElementById('saveScenario')?.addEventListener('click', async () => {
 });
 
 function loadScenarios() {
-    const scenarios = db.get('roi_scenarios').filter(s => (s.deal_id || s.dealId) === currentDeal);
+    const scenarios = db.get('roi_scenarios').filter(s => s.dealId === currentDeal);
     const listDiv = document.getElementById('savedScenariosList');
 
     if (!currentDeal) {
@@ -991,7 +3205,7 @@ function loadScenarios() {
     } else {
         listDiv.innerHTML = scenarios.reverse().map(scenario => `
             <div class="list-item" onclick="loadScenario(${scenario.id})" style="cursor: pointer;">
-                <h4>ROI Scenario - ${new Date(scenario.created_at || scenario.createdAt).toLocaleDateString()}</h4>
+                <h4>ROI Scenario - ${new Date(scenario.createdAt).toLocaleDateString()}</h4>
                 <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 0.5rem; margin-top: 0.5rem; font-size: 0.875rem;">
                     <div>Benefit: ${scenario.results.totalBenefit}</div>
                     <div>ROI: ${scenario.results.threeYearROI}</div>
@@ -1001,10 +3215,6 @@ function loadScenarios() {
     }
 }
 
-document.getElementById('exportROI')?.addEventListener('click', async () => {
-    alert('ROI data ready for export to proposal! (In production, this would generate a PDF or document)');
-});
-
 // Stakeholder Mapping
 document.getElementById('stakeholderForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
@@ -1034,7 +3244,7 @@ document.getElementById('stakeholderForm')?.addEventListener('submit', async (e)
 });
 
 function loadStakeholderMap() {
-    const stakeholders = db.get('stakeholders').filter(s => (s.deal_id || s.dealId) === currentDeal);
+    const stakeholders = db.get('stakeholders').filter(s => s.dealId === currentDeal);
 
     // Clear all quadrants
     document.querySelectorAll('.stakeholder-cards').forEach(div => div.innerHTML = '');
@@ -1113,14 +3323,49 @@ document.querySelectorAll('.nav-item').forEach(item => {
         if (page === 'catalog') {
             loadOfferings();
         }
+        if (page === 'pipeline') {
+            loadPipeline();
+        }
+        if (page === 'forecast') {
+            loadForecast();
+        }
+        if (page === 'trash') {
+            loadTrash();
+        }
+        if (page === 'research') {
+            loadResearch();
+        }
         if (page === 'sow') {
             loadTemplates();
             loadTemplatesForSow();
+            updateTemplatePreview();
+            loadSowVersions();
+            loadBrandingForm();
+        }
+        if (page === 'quotes') {
+            loadQuotesList();
+            loadSowOptionsForQuote();
+            loadOfferingOptions();
+            loadWorkflowTemplateOptions();
+            loadTaxRates();
+        }
+        if (page === 'workflowTemplates') {
+            loadWorkflowTemplates();
+        }
+        if (page === 'approvals') {
+            loadApprovals();
+            loadMarginFloors();
+        }
+        if (page === 'audit') {
+            loadAuditLog();
         }
     });
 });
 
 // Service Catalog Management
+document.getElementById('offeringCategory').innerHTML = OFFERING_CATEGORIES.map(category =>
+    `<option value="${category}">${category}</option>`).join('');
+
 document.getElementById('offeringForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
 
@@ -1129,7 +3374,8 @@ document.getElementById('offeringForm')?.addEventListener('submit', async (e) =>
         category: document.getElementById('offeringCategory').value,
         description: document.getElementById('offeringDescription').value,
         defaultCost: parseFloat(document.getElementById('offeringCost').value) || 0,
-        defaultPrice: parseFloat(document.getElementById('offeringPrice').value)
+        defaultPrice: parseFloat(document.getElementById('offeringPrice').value),
+        unit: document.getElementById('offeringUnit').value
     };
 
     await db.add('service_offerings', offering);
@@ -1141,6 +3387,7 @@ document.getElementById('offeringForm')?.addEventListener('submit', async (e) =>
 function loadOfferings() {
     const offerings = db.get('service_offerings');
     const listDiv = document.getElementById('offeringsList');
+    loadOfferingOptions();
 
     if (offerings.length === 0) {
         listDiv.innerHTML = '<div class="empty-state"><p>No service offerings yet. Add your first offering above!</p></div>';
@@ -1155,14 +3402,15 @@ function loadOfferings() {
                 <div class="offering-details">
                     <div class="offering-cost">
                         <label>Cost</label>
-                        <span>$${(offering.default_cost || offering.defaultCost || 0).toLocaleString()}</span>
+                        <span>${unitRate(offering.defaultCost, offering.unit)}</span>
                     </div>
                     <div class="offering-price">
                         <label>Price</label>
-                        <span>$${(offering.default_price || offering.defaultPrice || 0).toLocaleString()}</span>
+                        <span>${unitRate(offering.defaultPrice, offering.unit)}</span>
                     </div>
                 </div>
                 <div class="offering-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="showRecordHistory('service_offerings', ${offering.id})">History</button>
                     <button class="btn btn-sm btn-danger" onclick="deleteOffering(${offering.id})">Delete</button>
                 </div>
             </div>
@@ -1173,13 +3421,113 @@ function loadOfferings() {
 async function deleteOffering(offeringId) {
     if (!confirm('Are you sure you want to delete this offering?')) return;
 
-    const offerings = db.get('service_offerings');
-    const updated = offerings.filter(o => o.id !== offeringId);
-    await db.set('service_offerings', updated);
+    await db.delete('service_offerings', offeringId);
     loadOfferings();
 }
 
+// SoW Template Data
+// Deal-scoped tables templates can loop over (oldest first), by template name
+const TEMPLATE_TABLES = {
+    meetings: 'meetings',
+    stageHistory: 'deal_stage_history',
+    orderSessions: 'order_sessions',
+    stakeholders: 'stakeholders',
+    roiScenarios: 'roi_scenarios',
+    sows: 'sows',
+    quotes: 'quotes',
+    workflows: 'workflows',
+    documents: 'documents',
+    research: 'research'
+};
+
+// Variables from before the template language, still used by older templates
+const LEGACY_TEMPLATE_VARIABLES = ['COMPANY_NAME', 'CONTACT_NAME', 'CONTACT_EMAIL', 'DEAL_VALUE', 'CURRENT_DATE', 'MEETING_DATE', 'MEETING_NOTES'];
+
+// Everything a template can reference for the current deal and a meeting
+function templateData(meeting) {
+    const deal = getCurrentDeal() || null;
+    const lists = Object.fromEntries(Object.entries(TEMPLATE_TABLES).map(([name, table]) => [
+        name,
+        db.get(table)
+            .filter(r => r.dealId === currentDeal)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+    ]));
+
+    return {
+        deal,
+        meeting: meeting || null,
+        ...lists,
+        order: lists.orderSessions[lists.orderSessions.length - 1] || null,
+        roi: lists.roiScenarios[lists.roiScenarios.length - 1] || null,
+        quote: lists.quotes[lists.quotes.length - 1] || null,
+        today: new Date().toISOString(),
+        COMPANY_NAME: meeting ? dealCompanyName(meeting, meeting.company) : deal?.companyName || '',
+        CONTACT_NAME: deal?.contactName || '',
+        CONTACT_EMAIL: deal?.contactEmail || '',
+        DEAL_VALUE: deal?.value ? formatMoney(deal.value, dealCurrency(deal)) : '',
+        CURRENT_DATE: new Date().toLocaleDateString(),
+        MEETING_DATE: meeting ? new Date(meeting.date).toLocaleDateString() : '',
+        MEETING_NOTES: meeting?.notes || ''
+    };
+}
+
+// The shape of templateData(), built from the models, for validateTemplate
+function templateSchema() {
+    const record = (table) => Object.fromEntries(getModel(table).fields.map(field =>
+        [field.name, field.type === 'json' ? TEMPLATE_ANY : true]));
+
+    return {
+        deal: record('deals'),
+        meeting: record('meetings'),
+        ...Object.fromEntries(Object.entries(TEMPLATE_TABLES).map(([name, table]) => [name, [record(table)]])),
+        order: record('order_sessions'),
+        roi: record('roi_scenarios'),
+        quote: record('quotes'),
+        today: true,
+        ...Object.fromEntries(LEGACY_TEMPLATE_VARIABLES.map(name => [name, true]))
+    };
+}
+
+// Problems with a template as one message, or null if there are none
+function describeTemplateProblems({ error, unknown }) {
+    if (error) return `Template error - ${error.message}`;
+    if (unknown.length > 0) return `Unknown variables: ${unknown.join(', ')}`;
+    return null;
+}
+
+// Live preview against the current deal and its most recent meeting
+function updateTemplatePreview() {
+    const source = document.getElementById('templateContent')?.value || '';
+    const previewDiv = document.getElementById('templatePreview');
+    const validationDiv = document.getElementById('templateValidation');
+    if (!previewDiv) return;
+
+    const result = validateTemplate(source, templateSchema());
+    const problems = describeTemplateProblems(result);
+    validationDiv.textContent = problems || (source ? 'Template looks good.' : '');
+    validationDiv.className = `template-validation ${problems ? 'invalid' : 'valid'}`;
+
+    if (result.error) return;
+    const meeting = db.get('meetings').find(m => m.dealId === currentDeal);
+    previewDiv.textContent = source ? renderTemplate(source, templateData(meeting)) : '';
+}
+
+document.getElementById('templateContent')?.addEventListener('input', updateTemplatePreview);
+
 // SoW Templates Management
+// Edits save over the same row so SoWs built from a template keep pointing at it
+let editingTemplateId = null;
+
+function resetTemplateForm() {
+    editingTemplateId = null;
+    document.getElementById('templateForm').reset();
+    document.getElementById('templateFormTitle').textContent = 'Manage SoW Templates';
+    document.getElementById('cancelTemplateEdit').classList.add('hidden');
+    updateTemplatePreview();
+}
+
+document.getElementById('cancelTemplateEdit')?.addEventListener('click', resetTemplateForm);
+
 document.getElementById('templateForm')?.addEventListener('submit', async (e) => {
     e.preventDefault();
 
@@ -1189,8 +3537,21 @@ document.getElementById('templateForm')?.addEventListener('submit', async (e) =>
         content: document.getElementById('templateContent').value
     };
 
-    await db.add('sow_templates', template);
-    e.target.reset();
+    const result = validateTemplate(template.content, templateSchema());
+    if (result.error) {
+        alert(describeTemplateProblems(result));
+        return;
+    }
+    if (result.unknown.length > 0 && !confirm(`${describeTemplateProblems(result)}\n\nThese will render blank. Save anyway?`)) {
+        return;
+    }
+
+    const saved = editingTemplateId
+        ? await db.update('sow_templates', editingTemplateId, template)
+        : await db.add('sow_templates', template);
+    if (!saved) return;
+
+    resetTemplateForm();
     loadTemplates();
     loadTemplatesForSow();
     alert('SoW template saved!');
@@ -1207,7 +3568,7 @@ function loadTemplates() {
             <div class="template-item">
                 <div class="template-info">
                     <h5>${template.name}</h5>
-                    <p>${template.category} • Created ${new Date(template.created_at || template.createdAt).toLocaleDateString()}</p>
+                    <p>${template.category} • Created ${new Date(template.createdAt).toLocaleDateString()}</p>
                 </div>
                 <div class="template-actions">
                     <button class="btn btn-sm btn-secondary" onclick="editTemplate(${template.id})">Edit</button>
@@ -1225,128 +3586,618 @@ function loadTemplatesForSow() {
     select.innerHTML = '<option value="">Choose a template...</option>' +
         templates.map(t => `<option value="${t.id}">${t.name}</option>`).join('');
 
-    select.addEventListener('change', updateSowGenerateButton);
+    select.onchange = updateSowGenerateButton;
 }
 
+// Template mode needs a template; AI drafts only need the meeting
 function updateSowGenerateButton() {
+    const aiMode = document.getElementById('sowMode').value === 'ai';
     const templateSelected = document.getElementById('sowTemplate').value;
     const meetingSelected = document.getElementById('sowMeeting').value;
-    document.getElementById('generateSow').disabled = !templateSelected || !meetingSelected;
+    document.getElementById('sowTemplateGroup').classList.toggle('hidden', aiMode);
+    document.getElementById('generateSow').disabled = !meetingSelected || (!aiMode && !templateSelected);
 }
 
-function editTemplate(templateId) {
-    const templates = db.get('sow_templates');
-    const template = templates.find(t => t.id === templateId);
-
-    if (template) {
-        document.getElementById('templateName').value = template.name;
-        document.getElementById('templateCategory').value = template.category;
-        document.getElementById('templateContent').value = template.content;
+document.getElementById('sowMode')?.addEventListener('change', updateSowGenerateButton);
 
-        // Delete old and save as new
-        deleteTemplate(templateId);
-        window.scrollTo({ top: 0, behavior: 'smooth' });
-    }
+function editTemplate(templateId) {
+    const template = db.get('sow_templates').find(t => t.id === resolveId(templateId));
+    if (!template) return;
+
+    editingTemplateId = template.id;
+    document.getElementById('templateName').value = template.name;
+    document.getElementById('templateCategory').value = template.category;
+    document.getElementById('templateContent').value = template.content;
+    document.getElementById('templateFormTitle').textContent = `Edit ${template.name}`;
+    document.getElementById('cancelTemplateEdit').classList.remove('hidden');
+    updateTemplatePreview();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
 }
 
 async function deleteTemplate(templateId) {
     if (!confirm('Are you sure you want to delete this template?')) return;
 
-    const templates = db.get('sow_templates');
-    const updated = templates.filter(t => t.id !== templateId);
-    await db.set('sow_templates', updated);
+    await db.delete('sow_templates', templateId);
+    if (editingTemplateId === resolveId(templateId)) resetTemplateForm();
     loadTemplates();
     loadTemplatesForSow();
 }
 
-// Update SoW Generation to use templates
-const originalGenerateSow = document.getElementById('generateSow');
-if (originalGenerateSow) {
-    originalGenerateSow.removeEventListener('click', () => { });
-    originalGenerateSow.addEventListener('click', async () => {
-        const templateId = parseInt(document.getElementById('sowTemplate').value);
-        const meetingId = parseInt(document.getElementById('sowMeeting').value);
+// SoW Generation
+// Validates first: syntax errors stop generation, unknown variables ask.
+// Returns null when generation shouldn't go ahead.
+function fillSowTemplate(template, meeting) {
+    const result = validateTemplate(template.content, templateSchema());
+    if (result.error) {
+        alert(`"${template.name}" can't be used. ${describeTemplateProblems(result)}`);
+        return null;
+    }
+    if (result.unknown.length > 0 && !confirm(`"${template.name}" uses unknown variables: ${result.unknown.join(', ')}\n\nThese will render blank. Generate anyway?`)) {
+        return null;
+    }
+    return renderTemplate(template.content, templateData(meeting));
+}
+
+// Everything the deal has captured that bears on scope: the chosen meeting,
+// the latest ORDER session, stakeholders' decision criteria and ROI scenarios
+function sowContext(meeting) {
+    const deal = getCurrentDeal();
+    const latestOrder = db.get('order_sessions')
+        .filter(o => o.dealId === currentDeal)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    const orderFields = ['objectives', 'roadblocks', 'requirements', 'decisionCriteria', 'economicImpact',
+        'opening', 'root', 'deep', 'enablement', 'resources'];
+    const order = latestOrder
+        ? Object.fromEntries(orderFields.filter(field => latestOrder[field]).map(field => [field, latestOrder[field]]))
+        : null;
+
+    return {
+        company: dealCompanyName(meeting, meeting.company),
+        contactName: deal?.contactName || '',
+        meeting: { date: meeting.date, notes: meeting.notes || '' },
+        order: order && Object.keys(order).length > 0 ? order : null,
+        stakeholders: db.get('stakeholders')
+            .filter(s => s.dealId === currentDeal)
+            .map(s => ({ name: s.name, title: s.title, role: s.role, criteria: s.criteria })),
+        roi: db.get('roi_scenarios')
+            .filter(r => r.dealId === currentDeal)
+            .map(r => ({ name: r.name, ...(r.results || {}) }))
+    };
+}
+
+function formatSowDraft(draft, context) {
+    const section = (title, items, numbered) => items.length === 0 ? '' : `${title.toUpperCase()}
+${items.map((item, i) => numbered ? `${i + 1}. ${item}` : item).join('\n')}
+
+`;
+    const [overview, scope, deliverables, timeline, successCriteria] = SOW_SECTIONS.map(({ key }) => draft[key] || []);
+
+    return `STATEMENT OF WORK
+${context.company}${context.contactName ? `\nPrepared for ${context.contactName}` : ''}
+${new Date().toLocaleDateString()}
+
+${section('Project Overview', overview, false)}${section('Scope of Work', scope, true)}${section('Deliverables', deliverables, true)}${section('Timeline', timeline, false)}${section('Success Criteria', successCriteria, false)}INVESTMENT
+See attached quote for detailed pricing breakdown.`;
+}
+
+// Drafts with the configured model provider. Without one (or if it can't be
+// reached) the fixture provider assembles a draft from the notes instead.
+async function draftSow(meeting) {
+    const context = sowContext(meeting);
+    if (modelProvider) {
+        const { data, error } = await modelProvider.run('sow', context);
+        if (!error) return formatSowDraft(data, context);
+        console.error('SoW drafting failed:', error);
+        alert(`${modelProvider.name} could not draft the SoW (${error.message}). Falling back to a draft built from your notes.`);
+    }
+    const { data } = await createFixtureProvider().run('sow', context);
+    return formatSowDraft(data, context);
+}
 
-        const templates = db.get('sow_templates');
-        const meetings = db.get('meetings');
-        const template = templates.find(t => t.id === templateId);
-        const meeting = meetings.find(m => m.id === meetingId);
+document.getElementById('generateSow')?.addEventListener('click', async () => {
+    const aiMode = document.getElementById('sowMode').value === 'ai';
+    const templateId = parseInt(document.getElementById('sowTemplate').value);
+    const meetingId = parseInt(document.getElementById('sowMeeting').value);
 
-        if (!template || !meeting) return;
+    const template = db.find('sow_templates', templateId);
+    const meeting = db.find('meetings', meetingId);
 
-        const deal = getCurrentDeal();
+    if (!meeting || (!aiMode && !template)) return;
 
-        // Replace template variables
-        let sow = template.content;
-        sow = sow.replace(/\{\{COMPANY_NAME\}\}/g, deal?.companyName || meeting.company || '');
-        sow = sow.replace(/\{\{CONTACT_NAME\}\}/g, deal?.contactName || '');
-        sow = sow.replace(/\{\{CONTACT_EMAIL\}\}/g, deal?.contactEmail || '');
-        sow = sow.replace(/\{\{DEAL_VALUE\}\}/g, deal?.value ? `$${deal.value.toLocaleString()}` : '');
-        sow = sow.replace(/\{\{CURRENT_DATE\}\}/g, new Date().toLocaleDateString());
-        sow = sow.replace(/\{\{MEETING_DATE\}\}/g, new Date(meeting.date).toLocaleDateString());
-        sow = sow.replace(/\{\{MEETING_NOTES\}\}/g, meeting.notes || '');
+    const templated = aiMode ? null : fillSowTemplate(template, meeting);
+    if (!aiMode && templated === null) return;
 
-        const outputDiv = document.getElementById('sowOutput');
-        const contentTextarea = document.getElementById('sowContent');
+    const generateBtn = document.getElementById('generateSow');
+    const outputDiv = document.getElementById('sowOutput');
+    const contentTextarea = document.getElementById('sowContent');
 
-        outputDiv.classList.remove('hidden');
-        contentTextarea.value = sow; // Use .value for textarea
+    outputDiv.classList.remove('hidden');
+    generateBtn.disabled = true;
+    contentTextarea.value = aiMode ? 'Drafting SoW...' : '';
 
-        // Save SoW (will be saved again when user clicks "Save Changes")
-        const savedSow = await db.add('sows', {
-            dealId: currentDeal,
-            company: meeting.company,
-            meetingId: meeting.id,
-            templateId: template.id,
-            content: sow
-        });
+    const sow = aiMode ? await draftSow(meeting) : templated;
+    generateBtn.disabled = false;
+    contentTextarea.value = sow; // Use .value for textarea
 
-        document.getElementById('createQuote').dataset.sowId = savedSow.id;
-        updateDashboard();
+    // Save SoW (will be saved again when user clicks "Save Changes")
+    const savedSow = await db.add('sows', {
+        dealId: currentDeal,
+        company: dealCompanyName(meeting, meeting.company),
+        meetingId: meeting.id,
+        templateId: aiMode ? null : template.id,
+        version: 1,
+        status: 'draft',
+        content: sow
+    });
+    if (!savedSow) return;
+
+    openSowVersion(savedSow);
+    loadSowVersions();
+    updateDashboard();
+});
+
+// SoW Versions
+// Saving an edited SoW adds a new `sows` row rather than overwriting. Every
+// version of a SoW carries the id of its first version in originalId (null on
+// the first version itself) and has its own status.
+const SOW_STATUSES = [
+    { value: 'draft', label: 'Draft' },
+    { value: 'internal_review', label: 'Internal Review' },
+    { value: 'sent', label: 'Sent' },
+    { value: 'signed', label: 'Signed' }
+];
+
+const sowOriginalId = (sow) => sow.originalId ?? sow.id;
+
+// The current deal's SoWs, oldest first, each with its versions in order
+function getDealSows() {
+    const groups = {};
+    db.get('sows').filter(s => s.dealId === currentDeal).forEach(sow => {
+        (groups[sowOriginalId(sow)] ||= []).push(sow);
+    });
+    return Object.entries(groups)
+        .map(([originalId, versions]) => ({
+            originalId: Number(originalId),
+            versions: versions.sort((a, b) => (a.version || 1) - (b.version || 1))
+        }))
+        .sort((a, b) => new Date(a.versions[0].createdAt) - new Date(b.versions[0].createdAt))
+        .map((group, index) => ({ ...group, number: index + 1 }));
+}
+
+const latestSowVersion = (group) => group.versions[group.versions.length - 1];
+
+function sowLabel(sow) {
+    const group = getDealSows().find(g => g.originalId === sowOriginalId(sow));
+    return group ? `SoW ${group.number} v${sow.version || 1}` : `SoW v${sow.version || 1}`;
+}
+
+function sowStatusLabel(status) {
+    return SOW_STATUSES.find(s => s.value === status)?.label || 'Draft';
+}
+
+async function saveSowVersion(base, content) {
+    const group = getDealSows().find(g => g.originalId === sowOriginalId(base));
+    const latest = group ? latestSowVersion(group) : base;
+    return db.add('sows', {
+        dealId: base.dealId,
+        company: base.company,
+        meetingId: base.meetingId,
+        templateId: base.templateId,
+        originalId: sowOriginalId(base),
+        version: (latest.version || 1) + 1,
+        status: 'draft',
+        content
+    });
+}
+
+function openSowVersion(sow) {
+    document.getElementById('sowOutput').classList.remove('hidden');
+    document.getElementById('sowContent').value = sow.content || '';
+    document.getElementById('createQuote').dataset.sowId = sow.id;
+    document.getElementById('sowOutputTitle').textContent = `${sowLabel(sow)} - ${sowStatusLabel(sow.status)}`;
+}
+
+function loadSowVersions() {
+    const listDiv = document.getElementById('sowVersions');
+    if (!listDiv) return;
+
+    const groups = getDealSows();
+    const compareDiv = document.getElementById('sowCompare');
+    document.getElementById('sowDiff').innerHTML = '';
+
+    if (groups.length === 0) {
+        listDiv.innerHTML = '<div class="empty-state"><p>No SoWs for this deal yet. Generate one above.</p></div>';
+        compareDiv.classList.add('hidden');
+        return;
+    }
+
+    const quotes = db.get('quotes').filter(q => q.dealId === currentDeal && q.status !== 'superseded');
+
+    listDiv.innerHTML = groups.map(group => `
+        <div class="sow-group">
+            <h4>SoW ${group.number} <span class="sow-group-meta">started ${new Date(group.versions[0].createdAt).toLocaleDateString()}</span></h4>
+            <table class="analytics-table">
+                <thead>
+                    <tr><th>Version</th><th>Saved</th><th>Status</th><th>Quotes</th><th></th></tr>
+                </thead>
+                <tbody>
+                    ${group.versions.map(sow => {
+                        const builtQuotes = quotes.filter(q => q.sowId === sow.id).length;
+                        return `
+                            <tr>
+                                <td>v${sow.version || 1}</td>
+                                <td>${new Date(sow.createdAt).toLocaleString()}</td>
+                                <td>
+                                    <select class="sow-status-select" data-sow-status="${sow.id}">
+                                        ${SOW_STATUSES.map(status => `<option value="${status.value}" ${(sow.status || 'draft') === status.value ? 'selected' : ''}>${status.label}</option>`).join('')}
+                                    </select>
+                                </td>
+                                <td>${builtQuotes > 0 ? `${builtQuotes} quote${builtQuotes === 1 ? '' : 's'}` : '—'}</td>
+                                <td><button class="btn btn-secondary btn-sm" data-open-sow="${sow.id}">Open</button></td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `).join('');
+
+    listDiv.querySelectorAll('[data-open-sow]').forEach(btn => {
+        btn.addEventListener('click', () => openSowVersion(db.find('sows', parseInt(btn.dataset.openSow))));
+    });
+    listDiv.querySelectorAll('[data-sow-status]').forEach(select => {
+        select.addEventListener('change', async () => {
+            const updated = await db.update('sows', parseInt(select.dataset.sowStatus), { status: select.value });
+            if (updated) {
+                loadSowVersions();
+                updateDashboard();
+            }
+        });
     });
+
+    // Compare any two versions; default to the last two of the newest SoW
+    const versions = groups.flatMap(group => group.versions);
+    compareDiv.classList.toggle('hidden', versions.length < 2);
+    const options = groups.flatMap(group => group.versions.map(sow =>
+        `<option value="${sow.id}">SoW ${group.number} v${sow.version || 1} (${sowStatusLabel(sow.status)})</option>`)).join('');
+    document.getElementById('compareSowFrom').innerHTML = options;
+    document.getElementById('compareSowTo').innerHTML = options;
+
+    const newest = [...groups].reverse().find(g => g.versions.length > 1);
+    if (newest) {
+        document.getElementById('compareSowFrom').value = newest.versions[newest.versions.length - 2].id;
+        document.getElementById('compareSowTo').value = latestSowVersion(newest).id;
+    }
+}
+
+// Line diff via longest common subsequence, paired up into side-by-side rows:
+// unchanged lines, changed lines (removed and added at the same spot), and
+// lines only on one side
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            const left = removed[k];
+            const right = added[k];
+            rows.push({ type: left !== undefined && right !== undefined ? 'changed' : left !== undefined ? 'removed' : 'added', left, right });
+        }
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            flush();
+            rows.push({ type: 'same', left: a[i], right: b[j] });
+            i++;
+            j++;
+        } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            added.push(b[j++]);
+        } else {
+            removed.push(a[i++]);
+        }
+    }
+    flush();
+    return rows;
+}
+
+function renderSowDiff(from, to) {
+    const rows = diffLines(from.content || '', to.content || '');
+    const changes = rows.filter(row => row.type !== 'same').length;
+    const cell = (text, kind) => `<td class="${kind}">${text === undefined ? '' : escapeHtml(text) || '&nbsp;'}</td>`;
+
+    return `
+        <p class="help-text">${changes === 0 ? 'These versions are identical.' : `${changes} changed line${changes === 1 ? '' : 's'}.`}</p>
+        <table class="redline-table">
+            <thead><tr><th>${sowLabel(from)}</th><th>${sowLabel(to)}</th></tr></thead>
+            <tbody>
+                ${rows.map(row => `
+                    <tr>
+                        ${cell(row.left, row.type === 'removed' || row.type === 'changed' ? 'redline-removed' : '')}
+                        ${cell(row.right, row.type === 'added' || row.type === 'changed' ? 'redline-added' : '')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+    `;
+}
+
+document.getElementById('compareSows')?.addEventListener('click', () => {
+    const from = db.find('sows', parseInt(document.getElementById('compareSowFrom').value));
+    const to = db.find('sows', parseInt(document.getElementById('compareSowTo').value));
+    if (!from || !to) return;
+
+    if (from.id === to.id) {
+        alert('Pick two different versions to compare');
+        return;
+    }
+    document.getElementById('sowDiff').innerHTML = renderSowDiff(from, to);
+});
+
+// Quotes pick the SoW version they are built from
+function loadSowOptionsForQuote() {
+    const select = document.getElementById('quoteSow');
+    if (!select) return;
+
+    const selected = select.value;
+    select.innerHTML = '<option value="">None</option>' + getDealSows().flatMap(group =>
+        [...group.versions].reverse().map(sow =>
+            `<option value="${sow.id}">SoW ${group.number} v${sow.version || 1} (${sowStatusLabel(sow.status)})</option>`)).join('');
+    select.value = selected;
 }
 
-// Save edited SoW
+// Save edited SoW as a new version
 document.getElementById('saveSow')?.addEventListener('click', async () => {
     const sowContent = document.getElementById('sowContent').value;
     const sowId = document.getElementById('createQuote').dataset.sowId;
+    const current = sowId ? db.find('sows', parseInt(sowId)) : null;
+    if (!current) return;
 
-    if (sowId) {
-        const sows = db.get('sows');
-        const sowIndex = sows.findIndex(s => s.id === parseInt(sowId));
-        if (sowIndex !== -1) {
-            sows[sowIndex].content = sowContent;
-            await db.set('sows', sows);
-            alert('SoW changes saved!');
-        }
+    if (current.content === sowContent) {
+        alert('No changes to save.');
+        return;
+    }
+
+    const saved = await saveSowVersion(current, sowContent);
+    if (saved) {
+        openSowVersion(saved);
+        loadSowVersions();
+        updateDashboard();
+        alert(`Saved as ${sowLabel(saved)}.`);
+    }
+});
+
+// Saves generated content as a file download
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Document Export
+// Client-facing PDF and DOCX files, built in the browser by exporters.js so
+// they work offline. Quote documents are the client view: descriptions and
+// prices only, never cost, profit or margin.
+const BRANDING_DEFAULTS = { companyName: '', tagline: '', accentColor: '#6366f1', footer: '' };
+
+function getBranding() {
+    return getSetting('branding', BRANDING_DEFAULTS);
+}
+
+const DOCUMENT_FORMATS = {
+    pdf: { render: renderPdf, type: 'application/pdf' },
+    docx: { render: renderDocx, type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+const fileSlug = (...parts) => parts.join(' ').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+function exportDocument(doc, format, filename) {
+    const { render, type } = DOCUMENT_FORMATS[format];
+    try {
+        downloadFile(`${filename}.${format}`, render(doc, getBranding()), type);
+    } catch (error) {
+        console.error('Document export failed:', error);
+        alert(`Could not export the document: ${error.message}`);
+    }
+}
+
+function buildSowDocument(sow) {
+    const deal = db.find('deals', sow.dealId);
+    return {
+        title: 'Statement of Work',
+        subtitle: `${dealCompanyName(sow, sow.company)} - ${sowLabel(sow)}`,
+        meta: [
+            ...(deal?.contactName ? [['Prepared for', deal.contactName]] : []),
+            ['Status', sowStatusLabel(sow.status)],
+            ['Date', new Date(sow.createdAt || Date.now()).toLocaleDateString()]
+        ],
+        blocks: textToBlocks(sow.content)
+    };
+}
+
+// The only quote fields that may leave the building
+function quoteClientLines(quote) {
+    return quote.items.map(item => {
+        const line = quoteItemLine(item);
+        return {
+            description: line.description,
+            quantity: line.quantity,
+            unit: line.unit,
+            rate: line.unitPrice,
+            discountPercent: line.discountPercent,
+            amount: item.price || 0
+        };
+    });
+}
+
+function buildQuoteDocument(quote) {
+    const sow = quote.sowId ? db.find('sows', quote.sowId) : null;
+    const money = (amount) => formatMoney(amount, quote.currency || 'USD');
+    const lines = quoteClientLines(quote);
+    const lineDiscounts = lines.some(line => line.discountPercent);
+
+    const columns = [
+        { label: 'Description', width: lineDiscounts ? 0.36 : 0.44 },
+        { label: 'Qty', width: 0.1, align: 'right' },
+        { label: 'Unit', width: 0.14 },
+        { label: 'Rate', width: 0.16, align: 'right' },
+        ...(lineDiscounts ? [{ label: 'Disc.', width: 0.08, align: 'right' }] : []),
+        { label: 'Amount', width: 0.16, align: 'right' }
+    ];
+    // Label in the first column, amount in the last
+    const totalRow = (label, amount) => [label, ...columns.slice(2).map(() => ''), amount];
+
+    return {
+        title: quoteLabel(quote),
+        subtitle: dealCompanyName(quote, quote.client),
+        meta: [
+            ...(quote.client ? [['Prepared for', quote.client]] : []),
+            ['Date', new Date(quote.createdAt || Date.now()).toLocaleDateString()],
+            ...(sow ? [['Statement of Work', sowLabel(sow)]] : []),
+            ['Payment terms', paymentTerms(quote.paymentTerms).label],
+            ...(quote.validUntil ? [['Valid until', new Date(`${quote.validUntil}T00:00:00`).toLocaleDateString()]] : [])
+        ],
+        blocks: [
+            {
+                type: 'table',
+                columns,
+                rows: lines.map(line => [
+                    line.description,
+                    line.quantity.toLocaleString(),
+                    QUOTE_UNITS.find(u => u.value === line.unit)?.label || line.unit,
+                    money(line.rate),
+                    ...(lineDiscounts ? [line.discountPercent ? `${line.discountPercent}%` : ''] : []),
+                    money(line.amount)
+                ]),
+                totals: [
+                    ...(quote.subtotal !== undefined && quote.subtotal !== null ? [totalRow('Subtotal', money(quote.subtotal))] : []),
+                    ...(quote.discountAmount ? [totalRow(`Discount (${quote.discountPercent}%)`, `-${money(quote.discountAmount)}`)] : []),
+                    ...(quote.taxRate ? [totalRow(`Tax: ${quote.taxRegion} (${quote.taxRate}%)`, money(quote.taxAmount))] : []),
+                    totalRow('Total', money(quote.totalPrice))
+                ]
+            },
+            { type: 'heading', text: 'PAYMENT SCHEDULE' },
+            {
+                type: 'table',
+                columns: [
+                    { label: 'Milestone', width: 0.36 },
+                    { label: 'Due', width: 0.32 },
+                    { label: 'Share', width: 0.14, align: 'right' },
+                    { label: 'Amount', width: 0.18, align: 'right' }
+                ],
+                rows: quoteMilestones(quote.totalPrice || 0, quote.paymentTerms).map(milestone =>
+                    [milestone.name, milestone.due, `${milestone.percent}%`, money(milestone.amount)])
+            }
+        ]
+    };
+}
+
+// Reads the calculator as currently shown, so unsaved scenarios export too
+function buildRoiDocument() {
+    const deal = currentDeal ? db.find('deals', currentDeal) : null;
+    const labelFor = (input) => document.querySelector(`label[for="${input.id}"]`)?.textContent || input.id;
+    return {
+        title: 'ROI Summary',
+        subtitle: deal?.companyName || '',
+        meta: [['Date', new Date().toLocaleDateString()]],
+        blocks: [
+            { type: 'heading', text: 'RESULTS' },
+            {
+                type: 'table',
+                columns: [{ label: 'Metric', width: 0.6 }, { label: 'Value', width: 0.4, align: 'right' }],
+                rows: [...document.querySelectorAll('#roiResults .roi-metric')].map(metric =>
+                    [metric.querySelector('.metric-label').textContent, metric.querySelector('.metric-value').textContent])
+            },
+            { type: 'heading', text: 'ASSUMPTIONS' },
+            {
+                type: 'table',
+                columns: [{ label: 'Input', width: 0.6 }, { label: 'Value', width: 0.4, align: 'right' }],
+                rows: [...document.querySelectorAll('#roiForm input')].map(input =>
+                    [labelFor(input), Number(input.value).toLocaleString()])
+            }
+        ]
+    };
+}
+
+function exportCurrentSow(format) {
+    const sowId = document.getElementById('createQuote').dataset.sowId;
+    const sow = sowId ? db.find('sows', parseInt(sowId)) : null;
+    if (!sow) return;
+
+    if (sow.content !== document.getElementById('sowContent').value) {
+        alert('Save your changes as a new version before exporting.');
+        return;
     }
+    exportDocument(buildSowDocument(sow), format, fileSlug(dealCompanyName(sow, sow.company), sowLabel(sow)));
+}
+
+document.getElementById('exportSowPdf')?.addEventListener('click', () => exportCurrentSow('pdf'));
+document.getElementById('exportSowDocx')?.addEventListener('click', () => exportCurrentSow('docx'));
+
+function exportQuote(quoteId, format) {
+    const quote = db.find('quotes', quoteId);
+    if (!quote) return;
+    exportDocument(buildQuoteDocument(quote), format, fileSlug(dealCompanyName(quote, quote.client), quoteLabel(quote)));
+}
+
+function exportRoi(format) {
+    if (document.getElementById('roiResults').classList.contains('hidden')) {
+        alert('Calculate the ROI first.');
+        return;
+    }
+    const deal = currentDeal ? db.find('deals', currentDeal) : null;
+    exportDocument(buildRoiDocument(), format, fileSlug(deal?.companyName || '', 'roi summary'));
+}
+
+document.getElementById('exportROI')?.addEventListener('click', () => exportRoi('pdf'));
+document.getElementById('exportROIDocx')?.addEventListener('click', () => exportRoi('docx'));
+
+function loadBrandingForm() {
+    const branding = getBranding();
+    document.getElementById('brandingCompany').value = branding.companyName;
+    document.getElementById('brandingTagline').value = branding.tagline;
+    document.getElementById('brandingColor').value = branding.accentColor;
+    document.getElementById('brandingFooter').value = branding.footer;
+}
+
+document.getElementById('brandingForm')?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const saved = await saveSetting('branding', {
+        companyName: document.getElementById('brandingCompany').value.trim(),
+        tagline: document.getElementById('brandingTagline').value.trim(),
+        accentColor: document.getElementById('brandingColor').value,
+        footer: document.getElementById('brandingFooter').value.trim()
+    });
+    if (saved) alert('Branding saved.');
 });
 
 // Export All Data
 document.getElementById('exportData')?.addEventListener('click', async () => {
     const allData = {
-        deals: db.get('deals'),
-        meetings: db.get('meetings'),
-        order_sessions: db.get('order_sessions'),
-        stakeholders: db.get('stakeholders'),
-        roi_scenarios: db.get('roi_scenarios'),
-        service_offerings: db.get('service_offerings'),
-        sow_templates: db.get('sow_templates'),
-        sows: db.get('sows'),
-        quotes: db.get('quotes'),
-        workflows: db.get('workflows'),
+        ...Object.fromEntries(Object.keys(dataCache).map(table => [table, db.get(table, { includeDeleted: true })])),
         currentDealId: localStorage.getItem('currentDealId'),
         exportDate: new Date().toISOString()
     };
 
     const dataStr = JSON.stringify(allData, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `sales-app-backup-${new Date().toISOString().split('T')[0]}.json`;
-    link.click();
-    URL.revokeObjectURL(url);
+    downloadFile(`sales-app-backup-${new Date().toISOString().split('T')[0]}.json`, dataStr, 'application/json');
 
     alert('Data exported successfully! Save this file to restore your data later.');
 });
@@ -1370,17 +4221,16 @@ document.getElementById('importFile')?.addEventListener('change', async (e) => {
                 return;
             }
 
-            // Restore all data
-            await db.set('deals', importedData.deals || []);
-            await db.set('meetings', importedData.meetings || []);
-            await db.set('order_sessions', importedData.order_sessions || []);
-            await db.set('stakeholders', importedData.stakeholders || []);
-            await db.set('roi_scenarios', importedData.roi_scenarios || []);
-            await db.set('service_offerings', importedData.service_offerings || []);
-            await db.set('sow_templates', importedData.sow_templates || []);
-            await db.set('sows', importedData.sows || []);
-            await db.set('quotes', importedData.quotes || []);
-            await db.set('workflows', importedData.workflows || []);
+            // Replace every row we currently have with the backup's rows (ids kept,
+            // so links between records survive) in a single transaction
+            const tables = Object.keys(dataCache);
+            const restored = await db.batch([
+                ...tables.slice().reverse().flatMap(table =>
+                    db.get(table, { includeDeleted: true }).map(row => ({ type: 'delete', table, id: row.id }))),
+                ...tables.flatMap(table =>
+                    (importedData[table] || []).map(row => ({ type: 'insert', table, row: getModel(table).fromRow(row) })))
+            ]);
+            if (!restored) return;
 
             if (importedData.currentDealId) {
                 localStorage.setItem('currentDealId', importedData.currentDealId);
@@ -1399,12 +4249,54 @@ document.getElementById('importFile')?.addEventListener('change', async (e) => {
     e.target.value = '';
 });
 
-// Initialize - Load data from Supabase then start app
+// Re-render whichever page is showing (e.g. after a sync conflict is resolved)
+function refreshCurrentPage() {
+    document.querySelector('.nav-item.active')?.click();
+    loadDealSelector();
+}
+
+// Offline inserts get a temporary id; follow it once the server assigns the real one
+onIdResolved((table, tempId, realId) => {
+    if (table === 'deals' && currentDeal === tempId) {
+        currentDeal = realId;
+        localStorage.setItem('currentDealId', realId);
+    }
+    const createQuoteBtn = document.getElementById('createQuote');
+    if (table === 'sows' && createQuoteBtn && parseInt(createQuoteBtn.dataset.sowId) === tempId) {
+        createQuoteBtn.dataset.sowId = realId;
+    }
+});
+
+// Refuse to run against a database that is missing migrations - writes to
+// columns it doesn't have would fail. Offline, trust the schema we last saw.
+async function checkSchemaVersion() {
+    const { data: version, error } = await storageBackend.schemaVersion();
+    if (error) {
+        if (isNetworkError(error)) return;
+        throw error;
+    }
+    if (version < SCHEMA_VERSION) {
+        throw new Error(`The database schema is at version ${version}, but this version of the app needs ${SCHEMA_VERSION}. ` +
+            'Apply the pending files in migrations/ (see SETUP_GUIDE.md) and reload.');
+    }
+}
+
+// Initialize - Load data from the storage backend then start app
 async function initializeApp() {
-    console.log('Loading data from Supabase...');
+    storageBackend = createStorageBackend(STORAGE_BACKEND);
+    modelProvider = createModelProvider(MODEL_PROVIDER);
+    await checkSchemaVersion();
+    await loadSyncState();
+
+    console.log(`Loading data from ${storageBackend.name} storage...`);
     await syncAllData();
     console.log('Data loaded successfully!');
 
+    updateSyncStatus();
+    replayOutbox();
+    await purgeExpiredTrash();
+    await updateQuoteStatuses();
+
     loadDealSelector();
     updateDashboard();
     loadMeetingsList();
@@ -1415,7 +4307,7 @@ async function initializeApp() {
 // Start the app
 initializeApp().catch(error => {
     console.error('Failed to initialize app:', error);
-    alert('Failed to load data from database. Please refresh the page.');
+    alert(`Failed to load data: ${error.message}`);
 });
 // --- Deal Documents Library ---
 
@@ -1429,7 +4321,7 @@ async function loadDocuments() {
     }
 
     // Fetch documents for current deal
-    const documents = db.get('documents').filter(d => (d.deal_id || d.dealId) === currentDeal);
+    const documents = db.get('documents').filter(d => d.dealId === currentDeal);
 
     if (documents.length === 0) {
         listDiv.innerHTML = '<div class="empty-state">No documents linked to this deal yet.</div>';
@@ -1470,7 +4362,7 @@ document.getElementById('addDocumentForm')?.addEventListener('submit', async (e)
 
     try {
         await db.add('documents', {
-            deal_id: currentDeal,
+            dealId: currentDeal,
             name,
             url,
             type
@@ -0,0 +1,435 @@
+// Document Export
+// Turns a simple document description into PDF or DOCX bytes entirely in the
+// browser - no libraries, no server - so client documents can be produced
+// offline. A document is:
+//   { title, subtitle, meta: [[label, value]], blocks: [...] }
+// where each block is one of
+//   { type: 'heading', text }
+//   { type: 'paragraph', text, indent }
+//   { type: 'spacer' }
+//   { type: 'table', columns: [{ label, width, align }], rows: [[cell]], totals: [[cell]] }
+// Column widths are fractions of the page width. Branding is
+// { companyName, tagline, accentColor, footer }.
+
+// Plain-text SoWs become blocks: ALL CAPS lines are headings, bulleted or
+// numbered lines are indented, blank lines add space
+function textToBlocks(text) {
+    return (text || '').split('\n').map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return { type: 'spacer' };
+        if (/[A-Z]/.test(trimmed) && trimmed === trimmed.toUpperCase() && trimmed.length <= 60) {
+            return { type: 'heading', text: trimmed };
+        }
+        return { type: 'paragraph', text: trimmed, indent: /^([-*•]|\d+[.)])\s/.test(trimmed) };
+    });
+}
+
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+    return match ? match.slice(1).map(part => parseInt(part, 16) / 255) : [0.39, 0.4, 0.95];
+}
+
+// --- PDF ---
+
+// Advance widths (per 1000 units) of the standard Helvetica fonts for
+// characters 32-126, used to wrap lines
+const HELVETICA_WIDTHS = [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that the standard fonts' WinAnsi encoding has
+const WIN_ANSI_EXTRAS = {
+    '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+    '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+function toWinAnsi(text) {
+    return [...String(text ?? '')].map(char => {
+        const code = char.charCodeAt(0);
+        if (char.length === 1 && (code < 0x80 || (code >= 0xa0 && code <= 0xff))) return char;
+        return WIN_ANSI_EXTRAS[char] ? String.fromCharCode(WIN_ANSI_EXTRAS[char]) : '?';
+    }).join('');
+}
+
+function measurePdfText(text, bold, size) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of toWinAnsi(text)) {
+        const code = char.charCodeAt(0);
+        total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (total * size) / 1000;
+}
+
+function wrapPdfText(text, bold, size, maxWidth) {
+    const lines = [];
+    String(text).split('\n').forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (measurePdfText(candidate, bold, size) <= maxWidth || !line) {
+                line = candidate;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Literal strings keep to ASCII: non-ASCII bytes are written as octal escapes
+function pdfString(text) {
+    return `(${toWinAnsi(text).replace(/[\\()]/g, c => `\\${c}`).replace(/[\x80-\xff]/g, c => `\\${c.charCodeAt(0).toString(8)}`)})`;
+}
+
+function renderPdf(doc, branding = {}) {
+    const PAGE_WIDTH = 612;
+    const PAGE_HEIGHT = 792;
+    const MARGIN = 54;
+    const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+    const TOP = PAGE_HEIGHT - 84;
+    const BOTTOM = 60;
+    const accent = hexToRgb(branding.accentColor).map(v => v.toFixed(3)).join(' ');
+    const text = '0.12 0.14 0.18';
+    const muted = '0.45 0.48 0.55';
+
+    const pages = [];
+    let ops;
+    let y;
+
+    const newPage = () => {
+        ops = [];
+        pages.push(ops);
+        y = TOP;
+    };
+    const ensureSpace = (height) => {
+        if (y - height < BOTTOM) newPage();
+    };
+    const write = (value, x, baseline, { bold = false, size = 10, color = text } = {}) => {
+        ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${color} rg ${x.toFixed(2)} ${baseline.toFixed(2)} Td ${pdfString(value)} Tj ET`);
+    };
+    const writeAligned = (value, x, width, baseline, style) => {
+        const size = style.size || 10;
+        const offset = style.align === 'right' ? width - measurePdfText(value, style.bold, size) : 0;
+        write(value, x + offset, baseline, style);
+    };
+    const rule = (lineY, color = '0.85 0.86 0.9') => {
+        ops.push(`${color} RG 0.5 w ${MARGIN} ${lineY.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${lineY.toFixed(2)} l S`);
+    };
+    const paragraph = (value, { bold = false, size = 10, color = text, indent = 0, spacing = 4 } = {}) => {
+        const lineHeight = size * 1.35;
+        wrapPdfText(value, bold, size, CONTENT_WIDTH - indent).forEach(line => {
+            ensureSpace(lineHeight);
+            y -= lineHeight;
+            write(line, MARGIN + indent, y + size * 0.3, { bold, size, color });
+        });
+        y -= spacing;
+    };
+
+    const table = (block) => {
+        const columns = block.columns;
+        const widths = columns.map(col => col.width * CONTENT_WIDTH);
+        const padding = 4;
+        const lineHeight = 12;
+
+        const rowLines = (row, bold) => row.map((cell, i) => wrapPdfText(cell ?? '', bold, 9, widths[i] - padding * 2));
+        const drawRow = (row, { header = false, bold = false } = {}) => {
+            const lines = rowLines(row, header || bold);
+            const height = Math.max(...lines.map(l => l.length)) * lineHeight + padding * 2;
+            ensureSpace(height);
+            if (header) ops.push(`${accent} rg ${MARGIN} ${(y - height).toFixed(2)} ${CONTENT_WIDTH} ${height.toFixed(2)} re f`);
+            let x = MARGIN;
+            lines.forEach((cellLines, i) => {
+                cellLines.forEach((line, n) => {
+                    writeAligned(line, x + padding, widths[i] - padding * 2, y - padding - (n + 1) * lineHeight + 3,
+                        { bold: header || bold, size: 9, color: header ? '1 1 1' : text, align: columns[i].align });
+                });
+                x += widths[i];
+            });
+            y -= height;
+            if (!header) rule(y);
+            return height;
+        };
+
+        const header = columns.map(col => col.label);
+        ensureSpace(60);
+        drawRow(header, { header: true });
+        block.rows.forEach(row => {
+            const height = Math.max(...rowLines(row, false).map(l => l.length)) * lineHeight + padding * 2;
+            if (y - height < BOTTOM) {
+                newPage();
+                drawRow(header, { header: true });
+            }
+            drawRow(row);
+        });
+        (block.totals || []).forEach(row => drawRow(row, { bold: true }));
+        y -= 10;
+    };
+
+    newPage();
+    paragraph(doc.title, { bold: true, size: 20, spacing: 2 });
+    if (doc.subtitle) paragraph(doc.subtitle, { size: 11, color: muted, spacing: 6 });
+    (doc.meta || []).forEach(([label, value]) => paragraph(`${label}: ${value}`, { size: 9, color: muted, spacing: 0 }));
+    y -= 10;
+
+    (doc.blocks || []).forEach(block => {
+        if (block.type === 'heading') {
+            ensureSpace(40);
+            y -= 6;
+            paragraph(block.text, { bold: true, size: 12, color: accent, spacing: 4 });
+        } else if (block.type === 'paragraph') {
+            paragraph(block.text, { indent: block.indent ? 14 : 0, spacing: 2 });
+        } else if (block.type === 'spacer') {
+            y -= 6;
+        } else if (block.type === 'table') {
+            table(block);
+        }
+    });
+
+    // Branding header and page footer go on every page once the count is known
+    pages.forEach((pageOps, index) => {
+        ops = pageOps;
+        write(branding.companyName || '', MARGIN, PAGE_HEIGHT - 46, { bold: true, size: 12, color: accent });
+        if (branding.tagline) {
+            writeAligned(branding.tagline, MARGIN, CONTENT_WIDTH, PAGE_HEIGHT - 46, { size: 9, color: muted, align: 'right' });
+        }
+        rule(PAGE_HEIGHT - 56, accent);
+        if (branding.footer) write(branding.footer, MARGIN, 32, { size: 8, color: muted });
+        writeAligned(`Page ${index + 1} of ${pages.length}`, MARGIN, CONTENT_WIDTH, 32, { size: 8, color: muted, align: 'right' });
+    });
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its
+    // content stream per page
+    const objects = [];
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title ${pdfString(doc.title)} /Producer (Sales Process App) >>`;
+    pages.forEach((pageOps, i) => {
+        const stream = pageOps.join('\n');
+        objects[pageIds[i]] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`;
+        objects[pageIds[i] + 1] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+    });
+
+    let output = '%PDF-1.4\n';
+    const offsets = [];
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = output.length;
+        output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+    const xref = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Uint8Array.from(output, c => c.charCodeAt(0));
+}
+
+// --- DOCX ---
+// A .docx is a zip of WordprocessingML parts. Parts are stored uncompressed,
+// which every Word-compatible reader accepts.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    const header = (size, fill) => {
+        const buffer = new Uint8Array(size);
+        fill(new DataView(buffer.buffer));
+        return buffer;
+    };
+
+    files.forEach(({ name, content }) => {
+        const nameBytes = encoder.encode(name);
+        const data = encoder.encode(content);
+        const crc = crc32(data);
+
+        const local = header(30, view => {
+            view.setUint32(0, 0x04034b50, true);
+            view.setUint16(4, 20, true);
+            view.setUint16(6, 0x0800, true); // UTF-8 names
+            view.setUint16(8, 0, true); // stored
+            view.setUint16(10, dosTime, true);
+            view.setUint16(12, dosDate, true);
+            view.setUint32(14, crc, true);
+            view.setUint32(18, data.length, true);
+            view.setUint32(22, data.length, true);
+            view.setUint16(26, nameBytes.length, true);
+        });
+        central.push(header(46, view => {
+            view.setUint32(0, 0x02014b50, true);
+            view.setUint16(4, 20, true);
+            view.setUint16(6, 20, true);
+            view.setUint16(8, 0x0800, true);
+            view.setUint16(10, 0, true);
+            view.setUint16(12, dosTime, true);
+            view.setUint16(14, dosDate, true);
+            view.setUint32(16, crc, true);
+            view.setUint32(20, data.length, true);
+            view.setUint32(24, data.length, true);
+            view.setUint16(28, nameBytes.length, true);
+            view.setUint32(42, offset, true);
+        }), nameBytes);
+
+        chunks.push(local, nameBytes, data);
+        offset += local.length + nameBytes.length + data.length;
+    });
+
+    const centralSize = central.reduce((sum, chunk) => sum + chunk.length, 0);
+    const end = header(22, view => {
+        view.setUint32(0, 0x06054b50, true);
+        view.setUint16(8, files.length, true);
+        view.setUint16(10, files.length, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, offset, true);
+    });
+
+    const all = [...chunks, ...central, end];
+    const result = new Uint8Array(all.reduce((sum, chunk) => sum + chunk.length, 0));
+    let position = 0;
+    all.forEach(chunk => {
+        result.set(chunk, position);
+        position += chunk.length;
+    });
+    return result;
+}
+
+function xmlEscape(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderDocx(doc, branding = {}) {
+    const accent = (branding.accentColor || '#6366f1').replace('#', '').toUpperCase();
+
+    const run = (text, { bold = false, size = 21, color } = {}) =>
+        `<w:r><w:rPr>${bold ? '<w:b/>' : ''}${color ? `<w:color w:val="${color}"/>` : ''}<w:sz w:val="${size}"/></w:rPr>` +
+        String(text ?? '').split('\n').map(line => `<w:t xml:space="preserve">${xmlEscape(line)}</w:t>`).join('<w:br/>') +
+        '</w:r>';
+    const para = (content, { align, indent, after = 80 } = {}) =>
+        `<w:p><w:pPr><w:spacing w:after="${after}"/>${indent ? '<w:ind w:left="360"/>' : ''}${align ? `<w:jc w:val="${align}"/>` : ''}</w:pPr>${content}</w:p>`;
+
+    const table = (block) => {
+        const grid = block.columns.map(col => Math.round(col.width * 10080));
+        const cell = (text, i, { header = false, bold = false } = {}) =>
+            `<w:tc><w:tcPr><w:tcW w:w="${grid[i]}" w:type="dxa"/>${header ? `<w:shd w:val="clear" w:color="auto" w:fill="${accent}"/>` : ''}</w:tcPr>` +
+            para(run(text, { bold: header || bold, size: 18, color: header ? 'FFFFFF' : undefined }), { align: block.columns[i].align === 'right' ? 'right' : undefined, after: 0 }) +
+            '</w:tc>';
+        const row = (cells, options) => `<w:tr>${cells.map((text, i) => cell(text, i, options)).join('')}</w:tr>`;
+
+        return '<w:tbl><w:tblPr><w:tblW w:w="5000" w:type="pct"/>' +
+            '<w:tblBorders><w:insideH w:val="single" w:sz="4" w:color="D9DBE5"/><w:bottom w:val="single" w:sz="4" w:color="D9DBE5"/></w:tblBorders>' +
+            '<w:tblCellMar><w:top w:w="60" w:type="dxa"/><w:left w:w="80" w:type="dxa"/><w:bottom w:w="60" w:type="dxa"/><w:right w:w="80" w:type="dxa"/></w:tblCellMar>' +
+            `</w:tblPr><w:tblGrid>${grid.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>` +
+            row(block.columns.map(col => col.label), { header: true }) +
+            block.rows.map(cells => row(cells)).join('') +
+            (block.totals || []).map(cells => row(cells, { bold: true })).join('') +
+            '</w:tbl>' + para('', { after: 120 });
+    };
+
+    const body = [
+        para(run(branding.companyName || '', { bold: true, size: 24, color: accent }) +
+            (branding.tagline ? run(`    ${branding.tagline}`, { size: 18, color: '737B8C' }) : ''), { after: 240 }),
+        para(run(doc.title, { bold: true, size: 40 }), { after: 60 }),
+        doc.subtitle ? para(run(doc.subtitle, { size: 22, color: '737B8C' }), { after: 120 }) : '',
+        ...(doc.meta || []).map(([label, value]) => para(run(`${label}: ${value}`, { size: 18, color: '737B8C' }), { after: 0 })),
+        para('', { after: 120 }),
+        ...(doc.blocks || []).map(block => {
+            if (block.type === 'heading') return para(run(block.text, { bold: true, size: 24, color: accent }), { after: 80 });
+            if (block.type === 'paragraph') return para(run(block.text), { indent: block.indent });
+            if (block.type === 'spacer') return para('', { after: 0 });
+            if (block.type === 'table') return table(block);
+            return '';
+        })
+    ].join('');
+
+    const W_NS = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"';
+    const footerRun = (text) => run(text, { size: 16, color: '737B8C' });
+    const field = (instr) => `<w:fldSimple w:instr="${instr}">${footerRun('1')}</w:fldSimple>`;
+    const footer = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:ftr ${W_NS}>` +
+        para(footerRun(`${branding.footer ? `${branding.footer}    ` : ''}Page `) + field('PAGE') + footerRun(' of ') + field('NUMPAGES'),
+            { align: 'right', after: 0 }) +
+        '</w:ftr>';
+
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>' +
+                '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>' +
+                '<Override PartName="/word/footer1.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.footer+xml"/>' +
+                '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'word/_rels/document.xml.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footer" Target="footer1.xml"/>' +
+                '</Relationships>'
+        },
+        {
+            name: 'word/styles.xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:styles ${W_NS}><w:docDefaults>` +
+                '<w:rPrDefault><w:rPr><w:rFonts w:ascii="Arial" w:hAnsi="Arial" w:cs="Arial"/><w:color w:val="1F2430"/><w:sz w:val="21"/></w:rPr></w:rPrDefault>' +
+                '<w:pPrDefault><w:pPr><w:spacing w:after="80" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault>' +
+                '</w:docDefaults></w:styles>'
+        },
+        { name: 'word/footer1.xml', content: footer },
+        {
+            name: 'word/document.xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><w:document ${W_NS}><w:body>${body}` +
+                '<w:sectPr><w:footerReference w:type="default" r:id="rId2"/><w:pgSz w:w="12240" w:h="15840"/>' +
+                '<w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="540" w:footer="540" w:gutter="0"/></w:sectPr>' +
+                '</w:body></w:document>'
+        }
+    ]);
+}
@@ -1,11 +1,20 @@
--- Sales Process App Database Schema
--- Run this in your Supabase SQL Editor
+-- 001: Initial schema
+-- The original schema.sql. Safe to run against a database that was created
+-- from it: every table and index is only created when missing.
 
--- Enable UUID extension
+-- postgres-only:begin
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+-- postgres-only:end
+
+-- Applied migrations, newest last (see migrations/migrate.js)
+CREATE TABLE IF NOT EXISTS schema_version (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at TIMESTAMPTZ DEFAULT NOW()
+);
 
 -- Deals table
-CREATE TABLE deals (
+CREATE TABLE IF NOT EXISTS deals (
   id BIGSERIAL PRIMARY KEY,
   company_name TEXT NOT NULL,
   contact_name TEXT,
@@ -17,7 +26,7 @@ CREATE TABLE deals (
 );
 
 -- Meetings table
-CREATE TABLE meetings (
+CREATE TABLE IF NOT EXISTS meetings (
   id BIGSERIAL PRIMARY KEY,
   deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
   company TEXT,
@@ -27,7 +36,7 @@ CREATE TABLE meetings (
 );
 
 -- ORDER Framework sessions
-CREATE TABLE order_sessions (
+CREATE TABLE IF NOT EXISTS order_sessions (
   id BIGSERIAL PRIMARY KEY,
   deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
   objectives TEXT,
@@ -39,7 +48,7 @@ CREATE TABLE order_sessions (
 );
 
 -- Stakeholders
-CREATE TABLE stakeholders (
+CREATE TABLE IF NOT EXISTS stakeholders (
   id BIGSERIAL PRIMARY KEY,
   deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
   name TEXT NOT NULL,
@@ -54,7 +63,7 @@ CREATE TABLE stakeholders (
 );
 
 -- ROI Scenarios
-CREATE TABLE roi_scenarios (
+CREATE TABLE IF NOT EXISTS roi_scenarios (
   id BIGSERIAL PRIMARY KEY,
   deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
   name TEXT,
@@ -66,7 +75,7 @@ CREATE TABLE roi_scenarios (
 );
 
 -- Service Offerings (global)
-CREATE TABLE service_offerings (
+CREATE TABLE IF NOT EXISTS service_offerings (
   id BIGSERIAL PRIMARY KEY,
   name TEXT NOT NULL,
   category TEXT,
@@ -77,7 +86,7 @@ CREATE TABLE service_offerings (
 );
 
 -- SoW Templates (global)
-CREATE TABLE sow_templates (
+CREATE TABLE IF NOT EXISTS sow_templates (
   id BIGSERIAL PRIMARY KEY,
   name TEXT NOT NULL,
   category TEXT,
@@ -86,7 +95,7 @@ CREATE TABLE sow_templates (
 );
 
 -- Generated SoWs
-CREATE TABLE sows (
+CREATE TABLE IF NOT EXISTS sows (
   id BIGSERIAL PRIMARY KEY,
   deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
   company TEXT,
@@ -97,7 +106,7 @@ CREATE TABLE sows (
 );
 
 -- Quotes
-CREATE TABLE quotes (
+CREATE TABLE IF NOT EXISTS quotes (
   id BIGSERIAL PRIMARY KEY,
   deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
   client TEXT,
@@ -107,7 +116,7 @@ CREATE TABLE quotes (
 );
 
 -- Workflows
-CREATE TABLE workflows (
+CREATE TABLE IF NOT EXISTS workflows (
   id BIGSERIAL PRIMARY KEY,
   deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
   company TEXT,
@@ -116,10 +125,12 @@ CREATE TABLE workflows (
 );
 
 -- Add indexes for better performance
-CREATE INDEX idx_meetings_deal_id ON meetings(deal_id);
-CREATE INDEX idx_order_sessions_deal_id ON order_sessions(deal_id);
-CREATE INDEX idx_stakeholders_deal_id ON stakeholders(deal_id);
-CREATE INDEX idx_roi_scenarios_deal_id ON roi_scenarios(deal_id);
-CREATE INDEX idx_sows_deal_id ON sows(deal_id);
-CREATE INDEX idx_quotes_deal_id ON quotes(deal_id);
-CREATE INDEX idx_workflows_deal_id ON workflows(deal_id);
+CREATE INDEX IF NOT EXISTS idx_meetings_deal_id ON meetings(deal_id);
+CREATE INDEX IF NOT EXISTS idx_order_sessions_deal_id ON order_sessions(deal_id);
+CREATE INDEX IF NOT EXISTS idx_stakeholders_deal_id ON stakeholders(deal_id);
+CREATE INDEX IF NOT EXISTS idx_roi_scenarios_deal_id ON roi_scenarios(deal_id);
+CREATE INDEX IF NOT EXISTS idx_sows_deal_id ON sows(deal_id);
+CREATE INDEX IF NOT EXISTS idx_quotes_deal_id ON quotes(deal_id);
+CREATE INDEX IF NOT EXISTS idx_workflows_deal_id ON workflows(deal_id);
+
+INSERT INTO schema_version (version, name) VALUES (1, 'initial_schema') ON CONFLICT DO NOTHING;
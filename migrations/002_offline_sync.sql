@@ -0,0 +1,67 @@
+-- 002: Offline sync support
+-- Offline sync compares updated_at on every table before replaying a queued
+-- write; db.batch sends multi-row changes through apply_batch so they commit
+-- together.
+
+ALTER TABLE meetings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE order_sessions ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE stakeholders ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE service_offerings ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE sow_templates ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE sows ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- postgres-only:begin
+-- Transactional batch writes (db.batch in app.js)
+-- Applies an array of { type, table, id, row | updates } ops in order inside a
+-- single transaction and returns one result per op. Rows inserted with an
+-- explicit id (restored backups) move the table's id sequence past them.
+CREATE OR REPLACE FUNCTION apply_batch(ops JSONB) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  op JSONB;
+  tbl TEXT;
+  cols TEXT;
+  affected JSONB;
+  results JSONB := '[]'::JSONB;
+BEGIN
+  FOR op IN SELECT * FROM jsonb_array_elements(ops) LOOP
+    tbl := op->>'table';
+
+    IF op->>'type' = 'insert' THEN
+      SELECT string_agg(quote_ident(key), ', ') INTO cols FROM jsonb_object_keys(op->'row') AS key;
+      EXECUTE format('INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                     tbl, cols, cols, tbl, tbl)
+        INTO affected USING op->'row';
+      IF op->'row' ? 'id' THEN
+        EXECUTE format('SELECT setval(pg_get_serial_sequence(%L, ''id''), GREATEST((SELECT MAX(id) FROM %I), 1))', tbl, tbl);
+      END IF;
+
+    ELSIF op->>'type' = 'update' THEN
+      SELECT string_agg(quote_ident(key), ', ') INTO cols FROM jsonb_object_keys(op->'updates') AS key;
+      EXECUTE format('UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id = $2 RETURNING to_jsonb(%I.*)',
+                     tbl, cols, cols, tbl, tbl)
+        INTO affected USING op->'updates', (op->>'id')::BIGINT;
+      IF affected IS NULL THEN
+        RAISE EXCEPTION 'No row % in %', op->>'id', tbl;
+      END IF;
+
+    ELSIF op->>'type' = 'delete' THEN
+      EXECUTE format('DELETE FROM %I WHERE id = $1', tbl) USING (op->>'id')::BIGINT;
+      affected := 'true'::JSONB;
+
+    ELSE
+      RAISE EXCEPTION 'Unknown batch op type: %', op->>'type';
+    END IF;
+
+    results := results || jsonb_build_array(affected);
+  END LOOP;
+
+  RETURN results;
+END;
+$$;
+-- postgres-only:end
+
+INSERT INTO schema_version (version, name) VALUES (2, 'offline_sync') ON CONFLICT DO NOTHING;
@@ -0,0 +1,60 @@
+-- 003: Columns and tables the app already writes
+-- Brings the schema in line with models.js: the ORDER framework notes, saved
+-- ROI inputs, quote totals and workflow status were written by the app but
+-- never defined, and deal documents and research had no tables at all.
+
+ALTER TABLE order_sessions ADD COLUMN IF NOT EXISTS opening TEXT;
+ALTER TABLE order_sessions ADD COLUMN IF NOT EXISTS root TEXT;
+ALTER TABLE order_sessions ADD COLUMN IF NOT EXISTS deep TEXT;
+ALTER TABLE order_sessions ADD COLUMN IF NOT EXISTS enablement TEXT;
+ALTER TABLE order_sessions ADD COLUMN IF NOT EXISTS resources TEXT;
+ALTER TABLE order_sessions ADD COLUMN IF NOT EXISTS checked_questions JSONB;
+
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS team_size NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS avg_salary NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS hours_per_week NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS current_output NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS time_reduction NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS output_increase NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS cost_reduction NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS implementation_cost NUMERIC;
+ALTER TABLE roi_scenarios ADD COLUMN IF NOT EXISTS results JSONB;
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS total_cost NUMERIC;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS total_price NUMERIC;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS profit NUMERIC;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS margin NUMERIC;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending';
+UPDATE quotes SET total_price = total WHERE total_price IS NULL;
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS quote_id BIGINT REFERENCES quotes(id) ON DELETE SET NULL;
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS client TEXT;
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'pending_signature';
+
+-- Links to external documents for a deal
+CREATE TABLE IF NOT EXISTS documents (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  url TEXT NOT NULL,
+  type TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Pre-call research results
+CREATE TABLE IF NOT EXISTS research (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
+  company TEXT NOT NULL,
+  leader TEXT,
+  results TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_documents_deal_id ON documents(deal_id);
+CREATE INDEX IF NOT EXISTS idx_research_deal_id ON research(deal_id);
+CREATE INDEX IF NOT EXISTS idx_workflows_quote_id ON workflows(quote_id);
+
+INSERT INTO schema_version (version, name) VALUES (3, 'app_columns') ON CONFLICT DO NOTHING;
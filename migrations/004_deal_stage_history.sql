@@ -0,0 +1,22 @@
+-- 004: Deal stage history
+-- One row per stage transition (including the stage a deal was created in),
+-- used for the dashboard timeline and the pipeline's time-in-stage reports.
+
+CREATE TABLE IF NOT EXISTS deal_stage_history (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id BIGINT REFERENCES deals(id) ON DELETE CASCADE,
+  from_stage TEXT,
+  to_stage TEXT NOT NULL,
+  changed_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_stage_history_deal_id ON deal_stage_history(deal_id);
+
+-- Deals that existed before history was kept start with their current stage
+INSERT INTO deal_stage_history (deal_id, from_stage, to_stage, changed_at)
+SELECT id, NULL, COALESCE(stage, 'prospecting'), created_at FROM deals
+WHERE NOT EXISTS (SELECT 1 FROM deal_stage_history h WHERE h.deal_id = deals.id);
+
+INSERT INTO schema_version (version, name) VALUES (4, 'deal_stage_history') ON CONFLICT DO NOTHING;
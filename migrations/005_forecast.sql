@@ -0,0 +1,15 @@
+-- 005: Pipeline forecast
+-- Deals get an expected close date to bucket the forecast by month. App-wide
+-- settings (stage probabilities, quota, ...) live in a key/value table.
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS expected_close_date DATE;
+
+CREATE TABLE IF NOT EXISTS settings (
+  id BIGSERIAL PRIMARY KEY,
+  key TEXT NOT NULL UNIQUE,
+  value JSONB,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+INSERT INTO schema_version (version, name) VALUES (5, 'forecast') ON CONFLICT DO NOTHING;
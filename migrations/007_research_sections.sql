@@ -0,0 +1,9 @@
+-- 007: Structured research
+-- Research runs are saved as named sections (overview, leadership, ...) along
+-- with the model provider that produced them. `results` keeps the HTML of
+-- runs saved before this.
+
+ALTER TABLE research ADD COLUMN IF NOT EXISTS sections JSONB;
+ALTER TABLE research ADD COLUMN IF NOT EXISTS provider TEXT;
+
+INSERT INTO schema_version (version, name) VALUES (7, 'research_sections') ON CONFLICT DO NOTHING;
@@ -0,0 +1,15 @@
+-- 008: SoW versions
+-- Saving an edited SoW adds a new version instead of overwriting it. Versions
+-- of one SoW point at its first version (original_id is NULL on the first
+-- version itself) and each carries its own status. Quotes record the SoW
+-- version they were built from.
+
+ALTER TABLE sows ADD COLUMN IF NOT EXISTS original_id BIGINT REFERENCES sows(id) ON DELETE CASCADE;
+ALTER TABLE sows ADD COLUMN IF NOT EXISTS version INTEGER DEFAULT 1;
+ALTER TABLE sows ADD COLUMN IF NOT EXISTS status TEXT DEFAULT 'draft';
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS sow_id BIGINT REFERENCES sows(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sows_original_id ON sows(original_id);
+
+INSERT INTO schema_version (version, name) VALUES (8, 'sow_versions') ON CONFLICT DO NOTHING;
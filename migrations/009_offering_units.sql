@@ -0,0 +1,8 @@
+-- 009: Offering units
+-- Catalog offerings are priced per unit (each, hour, day, license). Quote
+-- lines copy the unit along with the offering's cost and price; the lines
+-- themselves live in quotes.items, so only the catalog needs a column.
+
+ALTER TABLE service_offerings ADD COLUMN IF NOT EXISTS unit TEXT DEFAULT 'each';
+
+INSERT INTO schema_version (version, name) VALUES (9, 'offering_units') ON CONFLICT DO NOTHING;
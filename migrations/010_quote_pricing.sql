@@ -0,0 +1,18 @@
+-- 010: Quote pricing
+-- Deals carry the currency they are quoted in. Quotes keep a snapshot of how
+-- their total was reached: the pre-discount subtotal, a quote-level discount,
+-- the tax region and rate applied, and the payment terms the invoice
+-- milestones are computed from. Line-level discounts live in quotes.items.
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD';
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS currency TEXT DEFAULT 'USD';
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS subtotal NUMERIC;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS discount_percent NUMERIC DEFAULT 0;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS discount_amount NUMERIC DEFAULT 0;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS tax_region TEXT;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS tax_rate NUMERIC DEFAULT 0;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS tax_amount NUMERIC DEFAULT 0;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS payment_terms TEXT;
+
+INSERT INTO schema_version (version, name) VALUES (10, 'quote_pricing') ON CONFLICT DO NOTHING;
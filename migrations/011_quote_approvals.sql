@@ -0,0 +1,15 @@
+-- 011: Quote approvals
+-- Quotes whose margin falls below a category's floor wait for a manager's
+-- decision before they can be sent. approval_status is NULL when no approval
+-- was needed, otherwise 'pending', 'approved' or 'rejected';
+-- approval_reasons lists the floors the quote fell below when it was saved.
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS approval_status TEXT;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS approval_reasons JSONB;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS approval_comment TEXT;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS approval_decided_by TEXT;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS approval_decided_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_approval_status ON quotes(approval_status);
+
+INSERT INTO schema_version (version, name) VALUES (11, 'quote_approvals') ON CONFLICT DO NOTHING;
@@ -0,0 +1,12 @@
+-- 012: Quote revisions
+-- Reopening a saved quote and saving it adds a new revision (Rev A, B, C...)
+-- instead of a second, unrelated quote. Revisions point at the first
+-- revision (original_id is NULL on it) and older revisions are marked
+-- 'superseded' in quotes.status.
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS original_id BIGINT REFERENCES quotes(id) ON DELETE CASCADE;
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS revision INTEGER DEFAULT 1;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_original_id ON quotes(original_id);
+
+INSERT INTO schema_version (version, name) VALUES (12, 'quote_revisions') ON CONFLICT DO NOTHING;
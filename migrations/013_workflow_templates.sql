@@ -0,0 +1,19 @@
+-- 013: Workflow templates
+-- The steps a workflow runs through after the quote is signed. Each entry in
+-- steps is { name, ownerRole, slaDays, evidence }: who owns the step, how many
+-- days it should take and what has to be recorded to complete it. category
+-- picks the template automatically for quotes mostly made of that catalog
+-- category; NULL means it applies to any quote.
+
+CREATE TABLE IF NOT EXISTS workflow_templates (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  category TEXT,
+  steps JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE workflows ADD COLUMN IF NOT EXISTS template_id BIGINT REFERENCES workflow_templates(id) ON DELETE SET NULL;
+
+INSERT INTO schema_version (version, name) VALUES (13, 'workflow_templates') ON CONFLICT DO NOTHING;
@@ -0,0 +1,11 @@
+-- 014: Quote lifecycle
+-- Quotes move through draft, sent, accepted, rejected, expired and
+-- superseded (see "Quote Lifecycle" in app.js). A quote nobody has accepted
+-- expires after valid_until. Quotes saved before this still say 'pending'; the
+-- app works out their status from their workflow the next time it loads.
+
+ALTER TABLE quotes ADD COLUMN IF NOT EXISTS valid_until DATE;
+
+CREATE INDEX IF NOT EXISTS idx_quotes_status ON quotes(status);
+
+INSERT INTO schema_version (version, name) VALUES (14, 'quote_lifecycle') ON CONFLICT DO NOTHING;
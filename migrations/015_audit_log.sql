@@ -0,0 +1,38 @@
+-- 015: Audit log
+-- One row per write the app makes to any other table: which row, what it
+-- changed ({ field: { from, to } } for the fields that changed - every field
+-- for inserts and deletes), who made the change and when. deal_id is the deal
+-- the row belongs to, if any. There are no foreign keys so entries outlive the
+-- rows they describe, and on Postgres a trigger keeps the table append-only.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  table_name TEXT NOT NULL,
+  record_id BIGINT,
+  deal_id BIGINT,
+  action TEXT NOT NULL,
+  changes JSONB,
+  changed_by TEXT,
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_record ON audit_log(table_name, record_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_deal_id ON audit_log(deal_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_changed_at ON audit_log(changed_at);
+
+-- postgres-only:begin
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS TRIGGER
+LANGUAGE plpgsql AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+-- postgres-only:end
+
+INSERT INTO schema_version (version, name) VALUES (15, 'audit_log') ON CONFLICT DO NOTHING;
@@ -0,0 +1,69 @@
+-- 016: Temp ids inside a batch
+-- A write and its audit_log entries are sent as one batch, and the entry for a
+-- new row has to point at the id that row is given. apply_batch now remembers
+-- the id each insert with a negative (temporary) op id was given; later ops in
+-- the same batch that use that temp id - as the row they update or delete, or
+-- in any *_id column - get the real one.
+
+-- postgres-only:begin
+CREATE OR REPLACE FUNCTION apply_batch(ops JSONB) RETURNS JSONB
+LANGUAGE plpgsql AS $$
+DECLARE
+  op JSONB;
+  tbl TEXT;
+  cols TEXT;
+  fields JSONB;
+  target_id BIGINT;
+  affected JSONB;
+  temp_ids JSONB := '{}'::JSONB;
+  results JSONB := '[]'::JSONB;
+BEGIN
+  FOR op IN SELECT * FROM jsonb_array_elements(ops) LOOP
+    tbl := op->>'table';
+    fields := COALESCE(op->'row', op->'updates');
+    IF fields IS NOT NULL THEN
+      SELECT jsonb_object_agg(key, CASE
+               WHEN key LIKE '%\_id' AND temp_ids ? (value #>> '{}') THEN temp_ids->(value #>> '{}')
+               ELSE value END)
+        INTO fields FROM jsonb_each(fields);
+    END IF;
+    target_id := COALESCE((temp_ids->>(op->>'id'))::BIGINT, (op->>'id')::BIGINT);
+
+    IF op->>'type' = 'insert' THEN
+      SELECT string_agg(quote_ident(key), ', ') INTO cols FROM jsonb_object_keys(fields) AS key;
+      EXECUTE format('INSERT INTO %I (%s) SELECT %s FROM jsonb_populate_record(NULL::%I, $1) RETURNING to_jsonb(%I.*)',
+                     tbl, cols, cols, tbl, tbl)
+        INTO affected USING fields;
+      IF fields ? 'id' THEN
+        EXECUTE format('SELECT setval(pg_get_serial_sequence(%L, ''id''), GREATEST((SELECT MAX(id) FROM %I), 1))', tbl, tbl);
+      END IF;
+      IF target_id < 0 THEN
+        temp_ids := temp_ids || jsonb_build_object(op->>'id', affected->'id');
+      END IF;
+
+    ELSIF op->>'type' = 'update' THEN
+      SELECT string_agg(quote_ident(key), ', ') INTO cols FROM jsonb_object_keys(fields) AS key;
+      EXECUTE format('UPDATE %I SET (%s) = (SELECT %s FROM jsonb_populate_record(NULL::%I, $1)) WHERE id = $2 RETURNING to_jsonb(%I.*)',
+                     tbl, cols, cols, tbl, tbl)
+        INTO affected USING fields, target_id;
+      IF affected IS NULL THEN
+        RAISE EXCEPTION 'No row % in %', op->>'id', tbl;
+      END IF;
+
+    ELSIF op->>'type' = 'delete' THEN
+      EXECUTE format('DELETE FROM %I WHERE id = $1', tbl) USING target_id;
+      affected := 'true'::JSONB;
+
+    ELSE
+      RAISE EXCEPTION 'Unknown batch op type: %', op->>'type';
+    END IF;
+
+    results := results || jsonb_build_array(affected);
+  END LOOP;
+
+  RETURN results;
+END;
+$$;
+-- postgres-only:end
+
+INSERT INTO schema_version (version, name) VALUES (16, 'batch_temp_ids') ON CONFLICT DO NOTHING;
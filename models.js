@@ -0,0 +1,277 @@
+// Data Models
+// The app works with camelCase records; the database stores snake_case
+// columns. Each model below lists its fields once - the column each maps to,
+// its type, and whether it is required - and `db` uses it to translate every
+// row read from the cache and to validate every write before it is queued.
+
+class ValidationError extends Error {
+    constructor(table, message) {
+        super(`${table}: ${message}`);
+        this.name = 'ValidationError';
+        this.table = table;
+    }
+}
+
+const toColumnName = (field) => field.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+
+// Coerce form values (inputs hand us strings) into the column's type
+const fieldTypes = {
+    id: (v) => v === '' || v === null || v === undefined ? null : Number(v),
+    text: (v) => v === null || v === undefined ? v : String(v),
+    number: (v) => {
+        if (v === '' || v === null || v === undefined) return null;
+        const n = typeof v === 'number' ? v : parseFloat(v);
+        return Number.isNaN(n) ? null : n;
+    },
+    date: (v) => v || null,
+    timestamp: (v) => v || null,
+    json: (v) => v ?? null
+};
+
+function defineModel(table, fields) {
+    const specs = Object.entries(fields).map(([name, spec]) => {
+        const { type, required = false } = typeof spec === 'string' ? { type: spec } : spec;
+        return { name, column: toColumnName(name), type, required };
+    });
+    const byName = Object.fromEntries(specs.map(s => [s.name, s]));
+    const byColumn = Object.fromEntries(specs.map(s => [s.column, s]));
+
+    const isBlank = (value) => value === null || value === undefined || value === '';
+
+    // `partial` skips the required check for fields the update doesn't touch
+    const toRow = (record, { partial = false } = {}) => {
+        const row = {};
+        Object.entries(record).forEach(([name, value]) => {
+            const spec = byName[name];
+            if (!spec) throw new ValidationError(table, `unknown field "${name}"`);
+            row[spec.column] = fieldTypes[spec.type](value);
+        });
+        specs.filter(s => s.required && (!partial || s.column in row)).forEach(s => {
+            if (isBlank(row[s.column])) throw new ValidationError(table, `${s.name} is required`);
+        });
+        return row;
+    };
+
+    // Accepts rows in either shape (backups made before this mapping layer hold
+    // camelCase keys); anything the model doesn't know about is left out
+    const fromRow = (row) => {
+        const record = {};
+        Object.entries(row).forEach(([key, value]) => {
+            const spec = byColumn[key] || byName[key];
+            if (spec) record[spec.name] = value;
+        });
+        return record;
+    };
+
+    return { table, fields: specs, toRow, fromRow };
+}
+
+const timestamps = { createdAt: 'timestamp', updatedAt: 'timestamp' };
+// Deals and the tables scoped to them are soft-deleted (see db.get in app.js)
+const softDelete = { deletedAt: 'timestamp' };
+
+const models = {
+    deals: defineModel('deals', {
+        id: 'id',
+        companyName: { type: 'text', required: true },
+        contactName: 'text',
+        contactEmail: 'text',
+        value: 'number',
+        stage: 'text',
+        expectedCloseDate: 'date',
+        currency: 'text',
+        ...timestamps,
+        ...softDelete
+    }),
+    deal_stage_history: defineModel('deal_stage_history', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        fromStage: 'text',
+        toStage: { type: 'text', required: true },
+        changedAt: { type: 'timestamp', required: true },
+        ...timestamps,
+        ...softDelete
+    }),
+    meetings: defineModel('meetings', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        company: 'text',
+        date: 'date',
+        notes: 'text',
+        ...timestamps,
+        ...softDelete
+    }),
+    order_sessions: defineModel('order_sessions', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        opening: 'text',
+        root: 'text',
+        deep: 'text',
+        enablement: 'text',
+        resources: 'text',
+        checkedQuestions: 'json',
+        objectives: 'text',
+        roadblocks: 'text',
+        decisionCriteria: 'text',
+        economicImpact: 'text',
+        requirements: 'text',
+        ...timestamps,
+        ...softDelete
+    }),
+    stakeholders: defineModel('stakeholders', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        name: { type: 'text', required: true },
+        title: 'text',
+        role: 'text',
+        influence: 'text',
+        support: 'text',
+        email: 'text',
+        criteria: 'text',
+        notes: 'text',
+        ...timestamps,
+        ...softDelete
+    }),
+    roi_scenarios: defineModel('roi_scenarios', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        name: 'text',
+        teamSize: 'number',
+        avgSalary: 'number',
+        hoursPerWeek: 'number',
+        currentOutput: 'number',
+        timeReduction: 'number',
+        outputIncrease: 'number',
+        costReduction: 'number',
+        implementationCost: 'number',
+        results: 'json',
+        currentCost: 'number',
+        solutionCost: 'number',
+        timeSavings: 'number',
+        revenueIncrease: 'number',
+        ...timestamps,
+        ...softDelete
+    }),
+    service_offerings: defineModel('service_offerings', {
+        id: 'id',
+        name: { type: 'text', required: true },
+        category: 'text',
+        description: 'text',
+        defaultCost: 'number',
+        defaultPrice: 'number',
+        unit: 'text',
+        ...timestamps
+    }),
+    sow_templates: defineModel('sow_templates', {
+        id: 'id',
+        name: { type: 'text', required: true },
+        category: 'text',
+        content: { type: 'text', required: true },
+        ...timestamps
+    }),
+    workflow_templates: defineModel('workflow_templates', {
+        id: 'id',
+        name: { type: 'text', required: true },
+        category: 'text',
+        steps: { type: 'json', required: true },
+        ...timestamps
+    }),
+    sows: defineModel('sows', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        company: 'text',
+        meetingId: 'id',
+        templateId: 'id',
+        originalId: 'id',
+        version: 'number',
+        status: 'text',
+        content: 'text',
+        ...timestamps,
+        ...softDelete
+    }),
+    quotes: defineModel('quotes', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        sowId: 'id',
+        originalId: 'id',
+        revision: 'number',
+        client: 'text',
+        items: { type: 'json', required: true },
+        currency: 'text',
+        subtotal: 'number',
+        discountPercent: 'number',
+        discountAmount: 'number',
+        taxRegion: 'text',
+        taxRate: 'number',
+        taxAmount: 'number',
+        paymentTerms: 'text',
+        validUntil: 'date',
+        totalCost: 'number',
+        totalPrice: 'number',
+        profit: 'number',
+        margin: 'number',
+        status: 'text',
+        approvalStatus: 'text',
+        approvalReasons: 'json',
+        approvalComment: 'text',
+        approvalDecidedBy: 'text',
+        approvalDecidedAt: 'timestamp',
+        ...timestamps,
+        ...softDelete
+    }),
+    workflows: defineModel('workflows', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        quoteId: 'id',
+        templateId: 'id',
+        client: 'text',
+        company: 'text',
+        status: 'text',
+        steps: { type: 'json', required: true },
+        ...timestamps,
+        ...softDelete
+    }),
+    documents: defineModel('documents', {
+        id: 'id',
+        dealId: { type: 'id', required: true },
+        name: { type: 'text', required: true },
+        url: { type: 'text', required: true },
+        type: 'text',
+        ...timestamps,
+        ...softDelete
+    }),
+    settings: defineModel('settings', {
+        id: 'id',
+        key: { type: 'text', required: true },
+        value: 'json',
+        ...timestamps
+    }),
+    audit_log: defineModel('audit_log', {
+        id: 'id',
+        tableName: { type: 'text', required: true },
+        recordId: 'id',
+        dealId: 'id',
+        action: { type: 'text', required: true },
+        changes: 'json',
+        changedBy: 'text',
+        changedAt: { type: 'timestamp', required: true },
+        ...timestamps
+    }),
+    research: defineModel('research', {
+        id: 'id',
+        dealId: 'id',
+        company: { type: 'text', required: true },
+        leader: 'text',
+        results: 'text',
+        sections: 'json',
+        provider: 'text',
+        ...timestamps,
+        ...softDelete
+    })
+};
+
+function getModel(table) {
+    const model = models[table];
+    if (!model) throw new ValidationError(table, 'no model defined for this table');
+    return model;
+}
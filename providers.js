@@ -0,0 +1,213 @@
+// Model Providers
+// AI-assisted features ask a provider to run a named task (see MODEL_TASKS)
+// with some context and get back structured data. Every provider exposes the
+// same async interface and resolves to `{ data, error }` results, like the
+// storage backends:
+//   name                  -> shown next to generated content
+//   run(task, context)    -> the task's structured result
+// Pick a provider with MODEL_PROVIDER in config.js.
+
+// --- Tasks ---
+// Each task knows how to phrase itself as a prompt, how to read the model's
+// reply back into structured data, and what the deterministic fixture
+// provider returns for it.
+
+const RESEARCH_SECTIONS = [
+    { key: 'overview', title: 'Company Overview' },
+    { key: 'leadership', title: 'Leadership Insights' },
+    { key: 'initiatives', title: 'Recent Initiatives' },
+    { key: 'challenges', title: 'Likely Challenges' },
+    { key: 'talkingPoints', title: 'Recommended Talking Points' }
+];
+
+const SOW_SECTIONS = [
+    { key: 'overview', title: 'Project Overview' },
+    { key: 'scope', title: 'Scope of Work' },
+    { key: 'deliverables', title: 'Deliverables' },
+    { key: 'timeline', title: 'Timeline' },
+    { key: 'successCriteria', title: 'Success Criteria' }
+];
+
+// Splits free-form notes into short points (one per line, sentence or `;`)
+function toPoints(text) {
+    return (text || '').split(/\n|;|\.(?:\s|$)/).map(point => point.replace(/^[-*•\d.)\s]+/, '').trim()).filter(Boolean);
+}
+
+// Keeps only the expected keys, each as a list of non-empty strings
+function toSectionLists(data, sections) {
+    return Object.fromEntries(sections.map(({ key }) => {
+        const items = Array.isArray(data?.[key]) ? data[key] : [];
+        return [key, items.map(item => String(item).trim()).filter(Boolean)];
+    }));
+}
+
+const MODEL_TASKS = {
+    // context: { company, leader, meetings: [{ date, notes }], stakeholders: [{ name, title, role, criteria }] }
+    research: {
+        system: 'You are a sales research assistant preparing a rep for a discovery call. Be specific and concise. Reply with JSON only.',
+        prompt: ({ company, leader, meetings, stakeholders }) => [
+            `Research the company "${company}"${leader ? ` and its leader ${leader}` : ''}.`,
+            meetings.length > 0
+                ? `Notes from our meetings so far:\n${meetings.map(m => `- ${m.date || 'undated'}: ${m.notes}`).join('\n')}`
+                : 'We have not met with them yet.',
+            stakeholders.length > 0
+                ? `Stakeholders we know of:\n${stakeholders.map(s => `- ${s.name}${s.title ? `, ${s.title}` : ''}${s.role ? ` (${s.role})` : ''}${s.criteria ? ` - cares about: ${s.criteria}` : ''}`).join('\n')}`
+                : '',
+            `Reply with a JSON object with the keys ${RESEARCH_SECTIONS.map(s => `"${s.key}"`).join(', ')}, each an array of short bullet-point strings.`
+        ].filter(Boolean).join('\n\n'),
+        parse: (data) => toSectionLists(data, RESEARCH_SECTIONS),
+        fixture: ({ company, leader, meetings, stakeholders }) => ({
+            overview: [
+                `${company} is an established player in its sector`,
+                'Growth is steady; operational efficiency is a standing priority'
+            ],
+            leadership: leader
+                ? [`${leader} focuses on innovation and customer experience`, `${leader} values data-driven decision making`]
+                : ['No leader named - ask who owns the buying decision'],
+            initiatives: ['Cloud adoption and digital transformation programs'],
+            challenges: [
+                'Scaling delivery without growing headcount',
+                ...stakeholders.filter(s => s.criteria).map(s => `${s.name} needs: ${s.criteria}`)
+            ],
+            talkingPoints: [
+                'Experience with similar-sized companies',
+                'ROI and time-to-value',
+                ...meetings.slice(0, 2).map(m => `Follow up on the ${m.date || 'last'} meeting: ${m.notes.split(/[.\n]/)[0].slice(0, 80)}`)
+            ]
+        })
+    },
+
+    // context: { company, contactName, meeting: { date, notes }, order: { objectives, roadblocks, ... } | null,
+    //            stakeholders: [{ name, title, role, criteria }], roi: [{ name, totalBenefit, paybackPeriod, threeYearROI }] }
+    sow: {
+        system: 'You are a solutions consultant drafting a Statement of Work. Ground every point in the notes provided; do not invent pricing. Reply with JSON only.',
+        prompt: ({ company, contactName, meeting, order, stakeholders, roi }) => [
+            `Draft a Statement of Work for ${company}${contactName ? ` (primary contact: ${contactName})` : ''}.`,
+            `Notes from our meeting on ${meeting.date || 'an unknown date'}:\n${meeting.notes}`,
+            order
+                ? `Discovery findings:\n${Object.entries(order).map(([field, text]) => `- ${field}: ${text}`).join('\n')}`
+                : '',
+            stakeholders.length > 0
+                ? `Stakeholders and their decision criteria:\n${stakeholders.map(s => `- ${s.name}${s.title ? `, ${s.title}` : ''}${s.role ? ` (${s.role})` : ''}${s.criteria ? `: ${s.criteria}` : ''}`).join('\n')}`
+                : '',
+            roi.length > 0
+                ? `ROI scenarios we shared:\n${roi.map(r => `- ${r.name || 'Scenario'}: total benefit ${r.totalBenefit}, payback ${r.paybackPeriod}, 3-year ROI ${r.threeYearROI}`).join('\n')}`
+                : '',
+            `Reply with a JSON object with the keys ${SOW_SECTIONS.map(s => `"${s.key}"`).join(', ')}, each an array of strings. ` +
+            '"overview" holds one or two sentences; "timeline" holds phases like "Phase 1: Discovery (2 weeks)".'
+        ].filter(Boolean).join('\n\n'),
+        parse: (data) => toSectionLists(data, SOW_SECTIONS),
+        // Also the fallback when no provider is configured: a draft assembled
+        // straight from the discovery notes
+        fixture: ({ company, meeting, order, stakeholders, roi }) => {
+            const goals = toPoints(order?.objectives || order?.opening);
+            const challenges = toPoints(order?.roadblocks || order?.root);
+            const requirements = toPoints(order?.requirements || order?.enablement);
+            const meetingPoints = toPoints(meeting.notes);
+
+            return {
+                overview: [
+                    `Based on our meeting on ${meeting.date || 'recent discussions'}, this Statement of Work outlines the proposed engagement with ${company}.`,
+                    ...(challenges.length > 0 ? [`The engagement addresses: ${challenges.join('; ')}.`] : [])
+                ],
+                scope: goals.length + requirements.length > 0
+                    ? [...goals, ...requirements]
+                    : meetingPoints.slice(0, 6),
+                deliverables: [
+                    'Comprehensive needs assessment',
+                    'Custom solution architecture',
+                    ...requirements.map(requirement => `Implementation of: ${requirement}`),
+                    'Implementation roadmap',
+                    'Training and documentation'
+                ],
+                timeline: [
+                    'Phase 1: Discovery and Planning (2 weeks)',
+                    'Phase 2: Development and Configuration (6 weeks)',
+                    'Phase 3: Testing and Refinement (2 weeks)',
+                    'Phase 4: Deployment and Training (2 weeks)'
+                ],
+                successCriteria: [
+                    ...toPoints(order?.decisionCriteria),
+                    ...stakeholders.filter(s => s.criteria).map(s => `${s.name}${s.title ? ` (${s.title})` : ''}: ${s.criteria}`),
+                    ...roi.filter(r => r.totalBenefit).map(r => `${r.name || 'ROI scenario'}: ${r.totalBenefit} annual benefit, payback in ${r.paybackPeriod}`)
+                ]
+            };
+        }
+    }
+};
+
+// Models tend to wrap JSON in prose or ```json fences; take the outermost object
+function extractJson(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end < start) throw new Error('Model reply did not contain a JSON object');
+    return JSON.parse(text.slice(start, end + 1));
+}
+
+// --- Providers ---
+
+// Any server speaking the OpenAI chat completions API: OpenAI itself, or a
+// local model server such as Ollama, llama.cpp or LM Studio
+function createChatCompletionsProvider({ name, baseUrl, apiKey, model, timeoutMs = 60000 }) {
+    return {
+        name,
+        run: async (taskName, context) => {
+            const task = MODEL_TASKS[taskName];
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                    },
+                    body: JSON.stringify({
+                        model,
+                        temperature: 0.2,
+                        messages: [
+                            { role: 'system', content: task.system },
+                            { role: 'user', content: task.prompt(context) }
+                        ]
+                    }),
+                    signal: controller.signal
+                });
+                if (!response.ok) {
+                    return { data: null, error: new Error(`${name} returned ${response.status}: ${(await response.text()).slice(0, 200)}`) };
+                }
+                const body = await response.json();
+                const content = body.choices?.[0]?.message?.content || '';
+                return { data: task.parse(extractJson(content)), error: null };
+            } catch (error) {
+                return { data: null, error };
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+    };
+}
+
+// Canned output derived only from the context - no network, same answer every
+// time. Used for demos, tests and working offline.
+function createFixtureProvider() {
+    return {
+        name: 'fixture',
+        run: async (taskName, context) => {
+            const task = MODEL_TASKS[taskName];
+            return { data: task.parse(task.fixture(context)), error: null };
+        }
+    };
+}
+
+function createModelProvider(config) {
+    const { kind } = config || {};
+    if (!kind || kind === 'none') return null;
+    if (kind === 'fixture') return createFixtureProvider();
+    if (kind === 'openai') {
+        return createChatCompletionsProvider({ name: config.model || 'openai', baseUrl: 'https://api.openai.com/v1', ...config });
+    }
+    if (kind === 'local') {
+        return createChatCompletionsProvider({ name: config.model || 'local model', baseUrl: 'http://localhost:11434/v1', ...config });
+    }
+    throw new Error(`Unknown model provider: ${kind}`);
+}
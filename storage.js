@@ -0,0 +1,246 @@
+// Storage Backends
+// `storage` in app.js talks to exactly one of these. Every backend exposes the
+// same async interface and resolves to Supabase-style `{ data, error }` results:
+//   list(table)                -> rows, newest first
+//   query(table, match, { offset, limit })
+//                              -> one page of the rows whose columns equal
+//                                 `match`, newest first (for tables too big
+//                                 to cache, like audit_log)
+//   fetch(table, id)           -> one row, or null if it no longer exists
+//   insert(table, row)         -> the inserted row (with its id)
+//   update(table, id, updates) -> the updated row
+//   remove(table, id)          -> true
+//   batch(ops)                 -> one result per op; all ops apply or none do
+//     (ops are `{ type: 'insert' | 'update' | 'delete', table, id, row | updates }`;
+//     an insert's negative temp id may be used by later ops in the same batch,
+//     as their target id or in any *_id column, and stands for the new row)
+//   schemaVersion()            -> latest migration applied to the database
+// Pick a backend with STORAGE_BACKEND in config.js.
+
+// The newest file in migrations/ - bump it whenever a migration is added
+const SCHEMA_VERSION = 16;
+
+// --- Key/value stores used by the local backend ---
+
+function createMemoryStore(seed = {}) {
+    const data = new Map(Object.entries(seed));
+    return {
+        get: async (key) => data.has(key) ? structuredClone(data.get(key)) : null,
+        set: async (key, value) => { data.set(key, structuredClone(value)); },
+        setMany: async (entries) => {
+            entries.forEach(([key, value]) => data.set(key, structuredClone(value)));
+        }
+    };
+}
+
+function createLocalStorageStore(prefix) {
+    return {
+        get: async (key) => {
+            const raw = localStorage.getItem(`${prefix}:${key}`);
+            return raw ? JSON.parse(raw) : null;
+        },
+        set: async (key, value) => {
+            localStorage.setItem(`${prefix}:${key}`, JSON.stringify(value));
+        },
+        setMany: async (entries) => {
+            const serialized = entries.map(([key, value]) => [`${prefix}:${key}`, JSON.stringify(value)]);
+            serialized.forEach(([key, raw]) => localStorage.setItem(key, raw));
+        }
+    };
+}
+
+function createIndexedDbStore(dbName) {
+    const STORE = 'tables';
+    const opened = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const run = async (mode, action) => {
+        const idb = await opened;
+        return new Promise((resolve, reject) => {
+            const tx = idb.transaction(STORE, mode);
+            const request = action(tx.objectStore(STORE));
+            tx.oncomplete = () => resolve(request?.result);
+            tx.onerror = () => reject(tx.error);
+        });
+    };
+
+    return {
+        opened,
+        get: async (key) => (await run('readonly', s => s.get(key))) ?? null,
+        set: async (key, value) => { await run('readwrite', s => s.put(value, key)); },
+        // One transaction, so either every entry is written or none is
+        setMany: async (entries) => {
+            await run('readwrite', s => {
+                let request;
+                entries.forEach(([key, value]) => { request = s.put(value, key); });
+                return request;
+            });
+        }
+    };
+}
+
+// IndexedDB where the browser allows it (some block it for file:// pages or in
+// private windows), localStorage otherwise.
+async function openBrowserStore(name) {
+    if (window.indexedDB) {
+        try {
+            const store = createIndexedDbStore(name);
+            await store.opened;
+            return store;
+        } catch (error) {
+            console.warn('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
+    return createLocalStorageStore(name);
+}
+
+// --- Backends ---
+
+function createSupabaseBackend(client) {
+    return {
+        name: 'supabase',
+        list: async (table) => client.from(table).select('*').order('id', { ascending: false }),
+        query: async (table, match, { offset = 0, limit = 100 } = {}) => client.from(table).select('*')
+            .match(match).order('id', { ascending: false }).range(offset, offset + limit - 1),
+        fetch: async (table, id) => client.from(table).select('*').eq('id', id).maybeSingle(),
+        insert: async (table, row) => client.from(table).insert(row).select().single(),
+        update: async (table, id, updates) => client.from(table).update(updates).eq('id', id).select().single(),
+        remove: async (table, id) => {
+            const { error } = await client.from(table).delete().eq('id', id);
+            return { data: !error, error };
+        },
+        // apply_batch (migrations/002, 016) runs the ops inside a single transaction
+        batch: async (ops) => client.rpc('apply_batch', { ops }),
+        schemaVersion: async () => {
+            const { data, error } = await client.from('schema_version')
+                .select('version').order('version', { ascending: false }).limit(1);
+            // A database set up before migrations existed has no schema_version table
+            if (error && (error.code === '42P01' || error.code === 'PGRST205')) return { data: 0, error: null };
+            if (error) return { data: null, error };
+            return { data: data[0]?.version ?? 0, error: null };
+        }
+    };
+}
+
+// Swaps temp ids inserted earlier in the same batch for the ids they were given
+function resolveBatchTempIds(op, tempIds) {
+    const remap = (fields) => fields && Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+        [key, key.endsWith('_id') && value in tempIds ? tempIds[value] : value]));
+    return { ...op, id: op.id in tempIds ? tempIds[op.id] : op.id, row: remap(op.row), updates: remap(op.updates) };
+}
+
+// Applies one write to a table record in place. Rows may carry their own id
+// (e.g. when restoring a backup); nextId always stays ahead of them.
+function applyLocalWrite(record, op) {
+    if (op.type === 'insert') {
+        const id = op.row.id ?? record.nextId;
+        if (record.rows.some(r => r.id === id)) throw new Error(`Duplicate id ${id} in ${op.table}`);
+        const inserted = { ...op.row, id };
+        record.rows.push(inserted);
+        record.nextId = Math.max(record.nextId, id + 1);
+        return inserted;
+    }
+    if (op.type === 'update') {
+        const index = record.rows.findIndex(r => r.id === op.id);
+        if (index === -1) throw new Error(`No row ${op.id} in ${op.table}`);
+        record.rows[index] = { ...record.rows[index], ...op.updates, id: op.id };
+        return record.rows[index];
+    }
+    if (op.type === 'delete') {
+        record.rows = record.rows.filter(r => r.id !== op.id);
+        return true;
+    }
+    throw new Error(`Unknown write type: ${op.type}`);
+}
+
+// Each table is stored as one `{ rows, nextId }` record. Writes are chained so
+// concurrent inserts never read the same nextId, and a batch only touches the
+// store once every op in it has succeeded.
+function createLocalBackend(storePromise) {
+    let writeQueue = Promise.resolve();
+
+    const write = (ops) => {
+        const run = writeQueue.then(async () => {
+            const store = await storePromise;
+            const records = {};
+            for (const table of new Set(ops.map(op => op.table))) {
+                records[table] = (await store.get(table)) || { rows: [], nextId: 1 };
+            }
+            const tempIds = {};
+            const results = ops.map(op => {
+                const result = applyLocalWrite(records[op.table], resolveBatchTempIds(op, tempIds));
+                if (op.type === 'insert' && op.id < 0) tempIds[op.id] = result.id;
+                return result;
+            });
+            await store.setMany(Object.entries(records));
+            return results;
+        });
+        writeQueue = run.catch(() => { });
+        return run;
+    };
+
+    const attempt = async (operation) => {
+        try {
+            return { data: await operation(), error: null };
+        } catch (error) {
+            return { data: null, error };
+        }
+    };
+
+    return {
+        name: 'local',
+        list: (table) => attempt(async () => {
+            const store = await storePromise;
+            const record = await store.get(table);
+            return (record?.rows || []).slice().sort((a, b) => b.id - a.id);
+        }),
+        query: (table, match, { offset = 0, limit = 100 } = {}) => attempt(async () => {
+            const store = await storePromise;
+            const record = await store.get(table);
+            return (record?.rows || [])
+                .filter(row => Object.entries(match).every(([column, value]) => row[column] === value))
+                .sort((a, b) => b.id - a.id)
+                .slice(offset, offset + limit);
+        }),
+        fetch: (table, id) => attempt(async () => {
+            const store = await storePromise;
+            const record = await store.get(table);
+            return record?.rows.find(r => r.id === id) || null;
+        }),
+        insert: (table, row) => attempt(async () => (await write([{ type: 'insert', table, row }]))[0]),
+        update: (table, id, updates) => attempt(async () => (await write([{ type: 'update', table, id, updates }]))[0]),
+        remove: (table, id) => attempt(async () => (await write([{ type: 'delete', table, id }]))[0]),
+        batch: (ops) => attempt(() => write(ops)),
+        // Tables here are schemaless, so they always match what the app expects
+        schemaVersion: async () => ({ data: SCHEMA_VERSION, error: null })
+    };
+}
+
+// Stands in for a remote backend whose client library could not be loaded
+// (typically because the page was opened offline). Every call fails like a
+// dropped connection, so writes stay queued until the next online reload.
+function createUnavailableBackend(name) {
+    const offline = async () => ({ data: null, error: new TypeError('Failed to fetch') });
+    return { name, list: offline, query: offline, fetch: offline, insert: offline, update: offline, remove: offline, batch: offline, schemaVersion: offline };
+}
+
+function createStorageBackend(kind) {
+    if (kind === 'local') {
+        return createLocalBackend(openBrowserStore('sales-process-app'));
+    }
+    if (kind === 'memory') {
+        return createLocalBackend(Promise.resolve(createMemoryStore()));
+    }
+    if (kind === 'supabase') {
+        if (!supabase) {
+            console.warn('Supabase client library failed to load; starting offline.');
+            return createUnavailableBackend('supabase');
+        }
+        return createSupabaseBackend(supabase);
+    }
+    throw new Error(`Unknown storage backend: ${kind}`);
+}
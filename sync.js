@@ -0,0 +1,427 @@
+// Offline Write Queue
+// `db` writes land in dataCache straight away and are recorded in a durable
+// outbox; replayOutbox() then sends them to the storage backend in order.
+// A write that fails because the connection is down stays queued and is
+// retried when the browser comes back online. Updates and deletes remember the
+// row's `updated_at` from when they were made - if the server row has moved on
+// since, the write is parked as a conflict for the user to resolve instead of
+// silently overwriting someone else's change.
+// Each op also carries the audit_log rows describing it (`audit`); they are
+// sent in the same transaction as the write, so neither lands without the
+// other, and a write parked as a conflict records nothing until it is kept.
+
+const syncState = {
+    store: null,
+    ops: [],
+    conflicts: [],
+    idMap: {},
+    replaying: Promise.resolve(),
+    idListeners: []
+};
+
+let tempIdSeq = 0;
+
+// Rows created while offline get a negative id until the server assigns one
+function nextTempId() {
+    tempIdSeq = (tempIdSeq + 1) % 100;
+    return -(Date.now() * 100 + tempIdSeq);
+}
+
+function isTempId(id) {
+    return typeof id === 'number' && id < 0;
+}
+
+// Follows a temp id to its server id once the insert has been replayed
+function resolveId(id) {
+    return syncState.idMap[id] ?? id;
+}
+
+function onIdResolved(listener) {
+    syncState.idListeners.push(listener);
+}
+
+function isNetworkError(error) {
+    if (!navigator.onLine) return true;
+    return /failed to fetch|networkerror|network request failed|load failed/i.test(error?.message || '');
+}
+
+function hasChangedSince(row, baseUpdatedAt) {
+    if (!baseUpdatedAt || !row.updated_at) return false;
+    return new Date(row.updated_at).getTime() !== new Date(baseUpdatedAt).getTime();
+}
+
+async function loadSyncState() {
+    syncState.store = await openBrowserStore('sales-process-app-sync');
+    syncState.ops = (await syncState.store.get('outbox')) || [];
+    syncState.conflicts = (await syncState.store.get('conflicts')) || [];
+    syncState.idMap = (await syncState.store.get('idMap')) || {};
+}
+
+async function saveSyncState() {
+    await syncState.store.set('outbox', syncState.ops);
+    await syncState.store.set('conflicts', syncState.conflicts);
+    await syncState.store.set('idMap', syncState.idMap);
+    updateSyncStatus();
+}
+
+// --- Cache snapshots (so the app can start without a connection) ---
+
+async function saveCacheSnapshot(table) {
+    if (syncState.store) await syncState.store.set(`cache:${table}`, dataCache[table]);
+}
+
+async function loadCacheSnapshot(table) {
+    return (await syncState.store?.get(`cache:${table}`)) || [];
+}
+
+// Applies writes to one table's rows. Idempotent, so it is safe to run on
+// rows that already include them.
+function applyOps(table, rows, ops) {
+    let result = rows.slice();
+    ops.forEach(op => {
+        if (op.type === 'batch') {
+            result = applyOps(table, result, op.ops);
+        } else if (op.table !== table) {
+            return;
+        } else if (op.type === 'insert') {
+            result = [{ ...op.row, id: op.id }, ...result.filter(r => r.id !== op.id)];
+        } else if (op.type === 'update') {
+            result = result.map(r => r.id === op.id ? { ...r, ...op.updates } : r);
+        } else if (op.type === 'delete') {
+            result = result.filter(r => r.id !== op.id);
+        }
+    });
+    return result;
+}
+
+// Re-applies queued writes on top of rows read from the backend
+function applyPendingOps(table, rows) {
+    return applyOps(table, rows, syncState.ops);
+}
+
+// --- Queueing ---
+
+async function enqueueWrite(op) {
+    // Writes to a row that has not reached the server yet fold into its insert
+    const pendingInsert = isTempId(op.id) &&
+        syncState.ops.find(o => o.type === 'insert' && o.table === op.table && o.id === op.id);
+
+    if (pendingInsert && op.type === 'update') {
+        pendingInsert.row = { ...pendingInsert.row, ...op.updates };
+        pendingInsert.audit = [...(pendingInsert.audit || []), ...(op.audit || [])];
+    } else if (pendingInsert && op.type === 'delete') {
+        syncState.ops = syncState.ops.filter(o => !(o.table === op.table && o.id === op.id));
+        // The row never reaches the server, but the history of it does
+        const audit = [...(pendingInsert.audit || []), ...(op.audit || [])];
+        if (audit.length > 0) syncState.ops.push({ type: 'batch', ops: [], audit, queuedAt: new Date().toISOString() });
+    } else {
+        const queued = { ...op, queuedAt: new Date().toISOString() };
+        syncState.ops.push(queued);
+        await saveSyncState();
+        return queued;
+    }
+
+    await saveSyncState();
+    return pendingInsert || null;
+}
+
+function replayOutbox() {
+    syncState.replaying = syncState.replaying.then(replayPendingOps, replayPendingOps);
+    return syncState.replaying;
+}
+
+async function replayPendingOps() {
+    try {
+        while (syncState.ops.length > 0) {
+            const op = syncState.ops[0];
+            const outcome = await replayOp(op);
+            if (outcome === 'offline') break;
+
+            syncState.ops = syncState.ops.filter(o => o !== op);
+            await saveSyncState();
+        }
+    } catch (error) {
+        console.error('Error replaying offline changes:', error);
+    }
+    updateSyncStatus();
+}
+
+function auditInserts(op) {
+    return (op.audit || []).map(row => ({ type: 'insert', table: 'audit_log', row }));
+}
+
+// A write with audit rows goes through storage.batch so they commit together
+async function sendWrite(op) {
+    const audit = auditInserts(op);
+    if (audit.length === 0) {
+        if (op.type === 'insert') return storage.add(op.table, op.row);
+        if (op.type === 'update') return storage.update(op.table, op.id, op.updates);
+        return storage.delete(op.table, op.id);
+    }
+    const { type, table, id, row, updates } = op;
+    const { data, error } = await storage.batch([{ type, table, id, row, updates }, ...audit]);
+    return { data: data?.[0] ?? null, error };
+}
+
+async function replayOp(op) {
+    if (op.type === 'batch') return replayBatch(op);
+
+    if (op.type !== 'insert') {
+        const { data: current, error: fetchError } = await storage.fetch(op.table, op.id);
+        if (fetchError) return failOp(op, fetchError);
+
+        if (!current) {
+            if (op.type === 'delete') return 'done';
+            return parkConflict(op, null);
+        }
+        if (hasChangedSince(current, op.baseUpdatedAt)) {
+            return parkConflict(op, current);
+        }
+    }
+
+    const { data, error } = await sendWrite(op);
+    if (error) return failOp(op, error);
+    if (op.type === 'insert') resolveTempId(op.table, op.id, data);
+    else if (op.type === 'update') mergeServerRow(op.table, data);
+    return 'done';
+}
+
+async function replayBatch(op) {
+    for (const sub of op.ops.filter(o => o.type !== 'insert' && o.baseUpdatedAt)) {
+        const { data: current, error } = await storage.fetch(sub.table, sub.id);
+        if (error) return failOp(op, error);
+        if (current && hasChangedSince(current, sub.baseUpdatedAt)) return parkConflict(op, current, sub);
+    }
+
+    const { data, error } = await storage.batch([...op.ops, ...auditInserts(op)]);
+    if (error) return failOp(op, error);
+
+    op.ops.forEach((sub, index) => {
+        if (sub.type === 'insert' && isTempId(sub.id)) resolveTempId(sub.table, sub.id, data[index]);
+        else if (sub.type !== 'delete') mergeServerRow(sub.table, data[index]);
+    });
+    return 'done';
+}
+
+// A dropped connection keeps the write queued; anything else (a constraint
+// violation, a missing column) will never succeed, so undo it locally.
+async function failOp(op, error) {
+    if (isNetworkError(error)) return 'offline';
+
+    syncState.ops = syncState.ops.filter(o => o !== op);
+    op.failed = true;
+    if (op.type === 'insert') {
+        dataCache[op.table] = (dataCache[op.table] || []).filter(r => r.id !== op.id);
+        saveCacheSnapshot(op.table);
+    } else {
+        for (const table of tablesTouchedBy(op)) await syncFromStorage(table);
+    }
+    alert(`Error saving to ${tablesTouchedBy(op).join(', ') || 'audit_log'}: ${error.message}`);
+    return 'failed';
+}
+
+function tablesTouchedBy(op) {
+    return op.type === 'batch' ? [...new Set(op.ops.map(o => o.table))] : [op.table];
+}
+
+// For a batch, `target` is the op inside it that hit the conflict
+function parkConflict(op, serverRow, target = op) {
+    syncState.conflicts.push({
+        id: `${target.table}:${target.id}:${Date.now()}`,
+        op,
+        target,
+        serverRow,
+        localRow: (dataCache[target.table] || []).find(r => r.id === target.id) || null,
+        detectedAt: new Date().toISOString()
+    });
+    return 'conflict';
+}
+
+// Swaps the server row in for its optimistic copy, keeping any later queued
+// edits to the same row on top.
+function mergeServerRow(table, serverRow) {
+    const [merged] = applyPendingOps(table, [serverRow]).filter(r => r.id === serverRow.id);
+    const rows = (dataCache[table] || []).slice();
+    const index = rows.findIndex(r => r.id === serverRow.id);
+    if (index === -1) {
+        if (merged) rows.unshift(merged);
+    } else if (merged) {
+        rows[index] = merged;
+    } else {
+        rows.splice(index, 1);
+    }
+    dataCache[table] = rows;
+    saveCacheSnapshot(table);
+}
+
+// Once an offline insert lands, every reference to its temp id - queued
+// writes, cached rows pointing at it, the selected deal - moves to the real id.
+function resolveTempId(table, tempId, serverRow) {
+    const realId = serverRow.id;
+    syncState.idMap[tempId] = realId;
+
+    const remapRefs = (row) => {
+        if (!row) return row;
+        Object.keys(row).forEach(key => {
+            if (key !== 'id' && key.endsWith('_id') && row[key] === tempId) row[key] = realId;
+        });
+        return row;
+    };
+
+    const remapOp = (op) => {
+        if (op.table === table && op.id === tempId) op.id = realId;
+        remapRefs(op.row);
+        remapRefs(op.updates);
+        (op.ops || []).forEach(remapOp);
+        (op.audit || []).forEach(remapRefs);
+    };
+    syncState.ops.forEach(remapOp);
+
+    Object.keys(dataCache).forEach(name => {
+        dataCache[name] = dataCache[name].map(row => remapRefs({ ...row }));
+    });
+    dataCache[table] = (dataCache[table] || []).filter(r => r.id !== tempId);
+    mergeServerRow(table, serverRow);
+    Object.keys(dataCache).forEach(name => saveCacheSnapshot(name));
+
+    syncState.idListeners.forEach(listener => listener(table, tempId, realId));
+}
+
+// --- Conflicts ---
+
+async function resolveConflict(conflictId, keep) {
+    const conflict = syncState.conflicts.find(c => c.id === conflictId);
+    if (!conflict) return;
+
+    syncState.conflicts = syncState.conflicts.filter(c => c.id !== conflictId);
+    const { op, target, serverRow } = conflict;
+
+    if (keep === 'mine') {
+        if (!serverRow) {
+            // Row was deleted remotely - recreate it from the local copy
+            const { id, ...row } = conflict.localRow || {};
+            if (id !== undefined) await enqueueWrite({ type: 'insert', table: target.table, id: nextTempId(), row });
+        } else if (op.type === 'batch') {
+            await enqueueWrite({ ...op, ops: op.ops.map(({ baseUpdatedAt, ...sub }) => sub) });
+        } else {
+            await enqueueWrite({ ...op, baseUpdatedAt: serverRow.updated_at });
+        }
+    } else if (op.type === 'batch') {
+        for (const table of tablesTouchedBy(op)) await syncFromStorage(table);
+    } else {
+        const rows = (dataCache[op.table] || []).filter(r => r.id !== op.id);
+        dataCache[op.table] = serverRow ? [serverRow, ...rows].sort((a, b) => b.id - a.id) : rows;
+        saveCacheSnapshot(op.table);
+    }
+
+    await saveSyncState();
+    await replayOutbox();
+}
+
+function describeConflict(conflict) {
+    const { op, target, serverRow, localRow } = conflict;
+    if (!serverRow) return 'This record was deleted on the server.';
+    if (op.type === 'batch') {
+        return `Part of a ${op.ops.length}-change batch; ${target.table} #${target.id} was changed on the server since.`;
+    }
+    if (op.type === 'delete') return 'You deleted this record, but it was changed on the server.';
+
+    const changes = op.updates;
+    const fields = Object.keys(changes).filter(k => k !== 'updated_at');
+    return fields.map(field => `
+        <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 0.5rem; font-size: 0.85rem;">
+            <strong>${field}</strong>
+            <span>Yours: ${escapeHtml(JSON.stringify(localRow?.[field] ?? changes[field]))}</span>
+            <span>Server: ${escapeHtml(JSON.stringify(serverRow[field]))}</span>
+        </div>
+    `).join('');
+}
+
+function showConflictsModal() {
+    const modal = document.createElement('div');
+    modal.className = 'modal-overlay';
+
+    const render = () => {
+        if (syncState.conflicts.length === 0) {
+            modal.remove();
+            return;
+        }
+        modal.querySelector('.modal-body').innerHTML = syncState.conflicts.map(conflict => `
+            <div class="list-item">
+                <h4>${conflict.target.type} on ${conflict.target.table} #${conflict.target.id}</h4>
+                <p style="font-size: 0.8rem; color: var(--text-muted);">Made ${new Date(conflict.op.queuedAt).toLocaleString()}</p>
+                <div style="margin: 0.5rem 0;">${describeConflict(conflict)}</div>
+                <div style="display: flex; gap: 0.5rem;">
+                    <button class="btn btn-sm btn-primary" data-conflict="${conflict.id}" data-keep="mine">Keep Mine</button>
+                    <button class="btn btn-sm btn-secondary" data-conflict="${conflict.id}" data-keep="server">Use Server Version</button>
+                </div>
+            </div>
+        `).join('');
+
+        modal.querySelectorAll('[data-conflict]').forEach(button => {
+            button.addEventListener('click', async () => {
+                await resolveConflict(button.dataset.conflict, button.dataset.keep);
+                render();
+                refreshCurrentPage();
+            });
+        });
+    };
+
+    modal.innerHTML = `
+        <div class="modal">
+            <div class="modal-header">
+                <h3>Sync Conflicts</h3>
+                <button class="modal-close">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                    </svg>
+                </button>
+            </div>
+            <div class="modal-body"></div>
+        </div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.querySelector('.modal-close').addEventListener('click', () => modal.remove());
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) modal.remove();
+    });
+    render();
+}
+
+// --- Status indicator ---
+
+function updateSyncStatus() {
+    const status = document.getElementById('syncStatus');
+    if (!status) return;
+
+    const pending = syncState.ops.length;
+    const conflicts = syncState.conflicts.length;
+
+    status.className = 'sync-status';
+    if (conflicts > 0) {
+        status.classList.add('conflict');
+        status.textContent = `${conflicts} conflict${conflicts === 1 ? '' : 's'} - review`;
+    } else if (pending > 0) {
+        status.classList.add('pending');
+        status.textContent = `${navigator.onLine ? 'Syncing' : 'Offline'} - ${pending} change${pending === 1 ? '' : 's'} pending`;
+    } else if (!navigator.onLine) {
+        status.classList.add('pending');
+        status.textContent = 'Offline';
+    } else {
+        status.textContent = 'All changes saved';
+    }
+}
+
+document.getElementById('syncStatus')?.addEventListener('click', () => {
+    if (syncState.conflicts.length > 0) showConflictsModal();
+    else replayOutbox();
+});
+
+window.addEventListener('online', replayOutbox);
+window.addEventListener('offline', updateSyncStatus);
+const SYNC_INTERVAL_MS = 30000;
+setInterval(() => {
+    if (syncState.ops.length > 0 && navigator.onLine) replayOutbox();
+}, SYNC_INTERVAL_MS);
@@ -0,0 +1,232 @@
+// SoW Template Engine
+// A small Handlebars-style language for SoW templates:
+//   {{deal.companyName}}                   variable (dot paths into the data)
+//   {{currency quote.totalPrice}}          helper call; arguments are paths or "strings"
+//   {{currency quote.totalPrice "EUR"}}    amounts are in the deal's currency unless a code is given
+//   {{#if order.requirements}}...{{else}}...{{/if}}
+//   {{#each stakeholders}}{{@number}}. {{name}}{{else}}none{{/each}}
+// Inside #each the current item's fields come first; names it doesn't have
+// are looked up in the enclosing scopes. `this` is the item itself, `@index`
+// its 0-based position and `@number` its 1-based position.
+
+class TemplateError extends Error {
+    constructor(message, line) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'TemplateError';
+        this.line = line;
+    }
+}
+
+// Helpers are called with the template's data as `this`
+const TEMPLATE_HELPERS = {
+    currency(value, code) {
+        const amount = Number(value) || 0;
+        const cents = Number.isInteger(amount) ? 0 : 2;
+        const currency = code || this?.deal?.currency || 'USD';
+        try {
+            return new Intl.NumberFormat(undefined, { style: 'currency', currency, minimumFractionDigits: cents, maximumFractionDigits: cents }).format(amount);
+        } catch (error) {
+            // Not an ISO currency code; show it after the number rather than fail the whole render
+            if (!(error instanceof RangeError)) throw error;
+            return `${amount.toLocaleString(undefined, { minimumFractionDigits: cents, maximumFractionDigits: cents })} ${currency}`;
+        }
+    },
+    date: (value) => {
+        if (!value) return '';
+        // Date-only values are local dates, not UTC midnight
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
+        return Number.isNaN(date.getTime()) ? String(value) : date.toLocaleDateString();
+    },
+    upper: (value) => String(value ?? '').toUpperCase(),
+    lower: (value) => String(value ?? '').toLowerCase(),
+    default: (value, fallback) => (value === null || value === undefined || value === '' ? fallback : value),
+    count: (value) => (Array.isArray(value) ? value.length : 0)
+};
+
+// --- Parsing ---
+
+const TAG = /\{\{\s*([#/]?)\s*([^}]*?)\s*\}\}/g;
+
+// `currency quote.totalPrice "USD"` -> ['currency', 'quote.totalPrice', '"USD"']
+function splitExpression(expression) {
+    return expression.match(/"[^"]*"|\S+/g) || [];
+}
+
+function lineAt(source, index) {
+    return source.slice(0, index).split('\n').length;
+}
+
+// Builds a tree of text, variable, if and each nodes
+function parseTemplate(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let cursor = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const target = () => {
+        const node = current();
+        return node.inElse ? node.otherwise : node.children;
+    };
+
+    TAG.lastIndex = 0;
+    while ((match = TAG.exec(source))) {
+        const [tag, sigil, expression] = match;
+        const line = lineAt(source, match.index);
+        if (match.index > cursor) target().push({ type: 'text', value: source.slice(cursor, match.index) });
+        cursor = match.index + tag.length;
+
+        const [name, ...args] = splitExpression(expression);
+        if (!name) throw new TemplateError('empty {{ }} tag', line);
+
+        if (sigil === '#') {
+            if (name !== 'if' && name !== 'each') throw new TemplateError(`unknown block "#${name}"`, line);
+            if (args.length !== 1) throw new TemplateError(`#${name} takes exactly one value`, line);
+            const node = { type: name, path: args[0], children: [], otherwise: [], line };
+            target().push(node);
+            stack.push(node);
+        } else if (sigil === '/') {
+            const open = current();
+            if (open.type === 'root') throw new TemplateError(`{{/${name}}} without a matching {{#${name}}}`, line);
+            if (open.type !== name) throw new TemplateError(`{{/${name}}} closes {{#${open.type}}} from line ${open.line}`, line);
+            stack.pop();
+        } else if (name === 'else' && args.length === 0) {
+            const open = current();
+            if (open.type === 'root' || open.inElse) throw new TemplateError('{{else}} outside an #if or #each block', line);
+            open.inElse = true;
+        } else if (args.length > 0) {
+            if (!TEMPLATE_HELPERS[name]) throw new TemplateError(`unknown helper "${name}"`, line);
+            target().push({ type: 'helper', name, args, line });
+        } else {
+            target().push({ type: 'variable', path: name, line });
+        }
+    }
+
+    if (cursor < source.length) target().push({ type: 'text', value: source.slice(cursor) });
+    if (stack.length > 1) {
+        const open = current();
+        throw new TemplateError(`{{#${open.type} ${open.path}}} is never closed`, open.line);
+    }
+    return root;
+}
+
+// --- Evaluation ---
+// Scopes are a chain of objects, innermost first.
+
+function lookup(path, scopes) {
+    if (path.startsWith('"')) return { found: true, value: path.slice(1, -1) };
+
+    const [head, ...rest] = path.split('.');
+    for (const scope of scopes) {
+        let value;
+        if (head === 'this') value = scope.item;
+        else if (head.startsWith('@')) value = scope.meta?.[head];
+        else if (scope.item !== null && typeof scope.item === 'object' && head in scope.item) value = scope.item[head];
+        else continue;
+
+        if (value === undefined && (head === 'this' || head.startsWith('@'))) continue;
+        return { found: true, value: rest.reduce((obj, key) => obj?.[key], value) };
+    }
+    return { found: false, value: undefined };
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const toText = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.join(', ');
+    if (typeof value === 'number') return value.toLocaleString();
+    return String(value);
+};
+
+function renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+        if (node.type === 'text') return node.value;
+        if (node.type === 'variable') return toText(lookup(node.path, scopes).value);
+        if (node.type === 'helper') {
+            const data = scopes[scopes.length - 1].item;
+            return toText(TEMPLATE_HELPERS[node.name].apply(data, node.args.map(arg => lookup(arg, scopes).value)));
+        }
+        const value = lookup(node.path, scopes).value;
+        if (node.type === 'if') {
+            return renderNodes(isTruthy(value) ? node.children : node.otherwise, scopes);
+        }
+        // each
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) return renderNodes(node.otherwise, scopes);
+        return items.map((item, index) => renderNodes(node.children, [
+            { item, meta: { '@index': index, '@number': index + 1 } },
+            ...scopes
+        ])).join('');
+    }).join('');
+}
+
+function renderTemplate(source, data) {
+    return renderNodes(parseTemplate(source).children, [{ item: data }]);
+}
+
+// --- Validation ---
+// Checks every path against a schema shaped like the data: objects map field
+// names to sub-schemas, `[schema]` describes the items of a list, `true` is a
+// plain value and TEMPLATE_ANY accepts any path below it (JSON columns).
+
+const TEMPLATE_ANY = Symbol('any');
+
+function resolveSchema(path, scopes) {
+    if (path.startsWith('"')) return true;
+
+    const [head, ...rest] = path.split('.');
+    for (const scope of scopes) {
+        let schema;
+        if (head === 'this') schema = scope.item;
+        else if (head.startsWith('@')) schema = scope.isItem && (head === '@index' || head === '@number') ? true : undefined;
+        else if (scope.item === TEMPLATE_ANY) schema = TEMPLATE_ANY;
+        else if (scope.item && typeof scope.item === 'object' && !Array.isArray(scope.item) && head in scope.item) schema = scope.item[head];
+        if (schema === undefined) continue;
+
+        for (const key of rest) {
+            if (schema === TEMPLATE_ANY) return TEMPLATE_ANY;
+            if (!schema || typeof schema !== 'object' || Array.isArray(schema) || !(key in schema)) return undefined;
+            schema = schema[key];
+        }
+        return schema;
+    }
+    return undefined;
+}
+
+// Returns `{ error, unknown }`: a syntax error (TemplateError) if the template
+// can't be parsed, otherwise the list of paths the schema doesn't know about
+function validateTemplate(source, schema) {
+    let tree;
+    try {
+        tree = parseTemplate(source);
+    } catch (error) {
+        if (!(error instanceof TemplateError)) throw error;
+        return { error, unknown: [] };
+    }
+
+    const unknown = new Set();
+    const check = (path, scopes) => {
+        const resolved = resolveSchema(path, scopes);
+        if (resolved === undefined) unknown.add(path);
+        return resolved;
+    };
+    const walk = (nodes, scopes) => nodes.forEach(node => {
+        if (node.type === 'variable') check(node.path, scopes);
+        if (node.type === 'helper') node.args.forEach(arg => check(arg, scopes));
+        if (node.type === 'if') {
+            check(node.path, scopes);
+            walk(node.children, scopes);
+            walk(node.otherwise, scopes);
+        }
+        if (node.type === 'each') {
+            const list = check(node.path, scopes);
+            const itemSchema = Array.isArray(list) ? list[0] : TEMPLATE_ANY;
+            walk(node.children, [{ item: list === undefined ? {} : itemSchema, isItem: true }, ...scopes]);
+            walk(node.otherwise, scopes);
+        }
+    });
+    walk(tree.children, [{ item: schema }]);
+
+    return { error: null, unknown: [...unknown] };
+}
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+test('db', async (t) => {
+    const { app, close } = await loadApp();
+    t.after(close);
+    const db = app('db');
+    // Drops the cache and reads the table back from the backend
+    const reload = (table) => app('syncFromStorage')(table);
+
+    await t.test('add saves a row to the backend and caches it', async () => {
+        const deal = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+        assert.ok(deal.id > 0);
+        assert.equal(deal.companyName, 'Acme');
+
+        await reload('deals');
+        assert.deepEqual(plain(db.get('deals')).map(d => [d.id, d.companyName]), [[deal.id, 'Acme']]);
+    });
+
+    await t.test('update changes only the given fields', async () => {
+        const deal = await db.add('deals', { companyName: 'Globex', stage: 'lead', value: 5000 });
+        const updated = await db.update('deals', deal.id, { stage: 'proposal' });
+        assert.equal(updated.stage, 'proposal');
+        assert.equal(updated.value, 5000);
+
+        await reload('deals');
+        const saved = db.get('deals').find(d => d.id === deal.id);
+        assert.equal(saved.stage, 'proposal');
+        assert.equal(saved.companyName, 'Globex');
+    });
+
+    await t.test('update and delete of an unknown row do nothing', async () => {
+        assert.equal(await db.update('deals', 9999, { stage: 'proposal' }), null);
+        assert.equal(await db.delete('deals', 9999), false);
+    });
+
+    await t.test('delete removes the row from the cache and the backend', async () => {
+        const deal = await db.add('deals', { companyName: 'Initech', stage: 'lead' });
+        assert.equal(await db.delete('deals', deal.id), true);
+        assert.ok(!db.get('deals').some(d => d.id === deal.id));
+
+        await reload('deals');
+        assert.ok(!db.get('deals').some(d => d.id === deal.id));
+    });
+});
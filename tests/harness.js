@@ -0,0 +1,60 @@
+// Test Harness
+// Loads the app into a jsdom page the way index.html does - the same scripts in
+// the same order - with STORAGE_BACKEND = 'memory', so every test starts from
+// an empty database and needs no network. Scripts from CDNs are skipped.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+async function loadApp() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [...html.matchAll(/<script src="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(src => !/^https?:/.test(src));
+
+    const errors = [];
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => errors.push(error));
+
+    const dom = new JSDOM(html.replace(/<script\b[^>]*><\/script>/g, ''), {
+        url: 'http://localhost/',
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+    window.alerts = [];
+    window.alert = (message) => window.alerts.push(message);
+    window.confirm = () => true;
+    window.scrollTo = () => { };
+    window.structuredClone = structuredClone;
+
+    for (const src of scripts) {
+        let code = fs.readFileSync(path.join(ROOT, src), 'utf8');
+        if (src === 'config.js') code = code.replace(/const STORAGE_BACKEND = '\w+';/, "const STORAGE_BACKEND = 'memory';");
+        const script = window.document.createElement('script');
+        script.textContent = code;
+        window.document.body.appendChild(script);
+    }
+    // Everything initializeApp() awaits resolves without timers on the memory
+    // backend, so one turn of the event loop lets it finish
+    const settle = () => new Promise(resolve => window.setTimeout(resolve, 0));
+    await settle();
+    if (errors.length > 0) throw errors[0].detail || errors[0];
+
+    return {
+        window,
+        settle,
+        // Evaluates in the page, where the scripts' top-level consts live
+        app: (expression) => window.eval(expression),
+        close: () => window.close()
+    };
+}
+
+// Values from the page belong to its realm; compare copies made in this one
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+module.exports = { loadApp, plain };
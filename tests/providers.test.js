@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+const MEETING = { date: '2024-03-01', notes: 'Discussed the data platform migration. Budget is approved for Q3' };
+const STAKEHOLDERS = [
+    { name: 'Sam Lee', title: 'CTO', role: 'Decision Maker', criteria: 'Security and uptime' },
+    { name: 'Pat Kim', title: 'CFO', role: 'Economic Buyer', criteria: '' }
+];
+
+const RESEARCH = {
+    overview: [
+        'Acme Corp is an established player in its sector',
+        'Growth is steady; operational efficiency is a standing priority'
+    ],
+    leadership: ['Jane Doe focuses on innovation and customer experience', 'Jane Doe values data-driven decision making'],
+    initiatives: ['Cloud adoption and digital transformation programs'],
+    challenges: ['Scaling delivery without growing headcount', 'Sam Lee needs: Security and uptime'],
+    talkingPoints: [
+        'Experience with similar-sized companies',
+        'ROI and time-to-value',
+        'Follow up on the 2024-03-01 meeting: Discussed the data platform migration'
+    ]
+};
+
+test('fixture provider', async (t) => {
+    const { app, close } = await loadApp();
+    t.after(close);
+    const provider = app('createFixtureProvider')();
+
+    await t.test('researches a company from its meetings and stakeholders', async () => {
+        const { data, error } = await provider.run('research', {
+            company: 'Acme Corp',
+            leader: 'Jane Doe',
+            meetings: [MEETING],
+            stakeholders: STAKEHOLDERS
+        });
+        assert.equal(error, null);
+        assert.deepEqual(plain(data), RESEARCH);
+    });
+
+    await t.test('asks who decides when no leader is named', async () => {
+        const { data } = await provider.run('research', { company: 'Acme Corp', leader: '', meetings: [], stakeholders: [] });
+        assert.deepEqual(plain(data.leadership), ['No leader named - ask who owns the buying decision']);
+        assert.deepEqual(plain(data.talkingPoints), ['Experience with similar-sized companies', 'ROI and time-to-value']);
+    });
+
+    await t.test('parsing keeps only the known sections, as lists of non-empty strings', () => {
+        const parsed = app('MODEL_TASKS').research.parse({ overview: [' Growing ', '', 3], leadership: 'not a list', extra: ['x'] });
+        assert.deepEqual(plain(parsed), { overview: ['Growing', '3'], leadership: [], initiatives: [], challenges: [], talkingPoints: [] });
+    });
+});
+
+test('pre-call research saves the sections for the current deal', async (t) => {
+    const { window, app, settle, close } = await loadApp();
+    t.after(close);
+    const db = app('db');
+
+    const deal = await db.add('deals', { companyName: 'Acme Corp', contactName: 'Jane Doe', stage: 'lead' });
+    app('setCurrentDeal')(deal.id);
+    await db.add('meetings', { dealId: deal.id, company: 'Acme Corp', ...MEETING });
+    for (const stakeholder of STAKEHOLDERS) await db.add('stakeholders', { dealId: deal.id, ...stakeholder });
+    // Another deal's notes stay out of the context
+    const other = await db.add('deals', { companyName: 'Globex', stage: 'lead' });
+    await db.add('stakeholders', { dealId: other.id, name: 'Lee Park', criteria: 'Price' });
+
+    app('autoPopulateForms')();
+    window.document.getElementById('researchBtn').click();
+    await settle();
+
+    const [research] = db.get('research');
+    assert.equal(research.dealId, deal.id);
+    assert.equal(research.provider, 'fixture');
+    assert.deepEqual(plain(research.sections), RESEARCH);
+    assert.match(window.document.getElementById('researchContent').textContent, /Sam Lee needs: Security and uptime/);
+});
+
+const ORDER = {
+    objectives: 'Consolidate reporting; Cut report latency',
+    roadblocks: 'Legacy ETL jobs',
+    requirements: 'SSO integration\nAudit logging',
+    decisionCriteria: 'Under 6 month payback'
+};
+const ROI = { name: 'Base case', totalBenefit: '$120,000', paybackPeriod: '5 months', threeYearROI: '240%' };
+
+test('fixture provider drafts a SoW from the discovery notes', async (t) => {
+    const { app, close } = await loadApp();
+    t.after(close);
+    const provider = app('createFixtureProvider')();
+
+    await t.test('with ORDER findings, stakeholders and ROI', async () => {
+        const { data } = await provider.run('sow', {
+            company: 'Acme Corp',
+            contactName: 'Jane Doe',
+            meeting: MEETING,
+            order: ORDER,
+            stakeholders: STAKEHOLDERS,
+            roi: [ROI]
+        });
+        assert.deepEqual(plain(data), {
+            overview: [
+                'Based on our meeting on 2024-03-01, this Statement of Work outlines the proposed engagement with Acme Corp.',
+                'The engagement addresses: Legacy ETL jobs.'
+            ],
+            scope: ['Consolidate reporting', 'Cut report latency', 'SSO integration', 'Audit logging'],
+            deliverables: [
+                'Comprehensive needs assessment',
+                'Custom solution architecture',
+                'Implementation of: SSO integration',
+                'Implementation of: Audit logging',
+                'Implementation roadmap',
+                'Training and documentation'
+            ],
+            timeline: [
+                'Phase 1: Discovery and Planning (2 weeks)',
+                'Phase 2: Development and Configuration (6 weeks)',
+                'Phase 3: Testing and Refinement (2 weeks)',
+                'Phase 4: Deployment and Training (2 weeks)'
+            ],
+            successCriteria: [
+                'Under 6 month payback',
+                'Sam Lee (CTO): Security and uptime',
+                'Base case: $120,000 annual benefit, payback in 5 months'
+            ]
+        });
+    });
+
+    await t.test('scopes from the meeting notes when there was no ORDER session', async () => {
+        const { data } = await provider.run('sow', { company: 'Acme Corp', contactName: '', meeting: MEETING, order: null, stakeholders: [], roi: [] });
+        assert.deepEqual(plain(data.scope), ['Discussed the data platform migration', 'Budget is approved for Q3']);
+        assert.deepEqual(plain(data.successCriteria), []);
+    });
+});
+
+test('drafting a SoW gathers the current deal\'s notes and lays out each section', async (t) => {
+    const { app, close } = await loadApp();
+    t.after(close);
+    const db = app('db');
+
+    const deal = await db.add('deals', { companyName: 'Acme Corp', contactName: 'Jane Doe', stage: 'proposal' });
+    app('setCurrentDeal')(deal.id);
+    const meeting = await db.add('meetings', { dealId: deal.id, company: 'Acme Corp', ...MEETING });
+    await db.add('order_sessions', { dealId: deal.id, ...ORDER });
+    await db.add('stakeholders', { dealId: deal.id, ...STAKEHOLDERS[0] });
+    const { name, ...results } = ROI;
+    await db.add('roi_scenarios', { dealId: deal.id, name, results });
+
+    const sow = await app('draftSow')(meeting);
+    assert.match(sow, /^STATEMENT OF WORK\nAcme Corp\nPrepared for Jane Doe\n/);
+    assert.match(sow, /SCOPE OF WORK\n1\. Consolidate reporting\n2\. Cut report latency\n3\. SSO integration\n4\. Audit logging\n/);
+    assert.match(sow, /DELIVERABLES\n1\. Comprehensive needs assessment\n/);
+    assert.match(sow, /TIMELINE\nPhase 1: Discovery and Planning \(2 weeks\)\n/);
+    assert.match(sow, /SUCCESS CRITERIA\nUnder 6 month payback\nSam Lee \(CTO\): Security and uptime\nBase case: \$120,000 annual benefit, payback in 5 months\n/);
+    assert.match(sow, /INVESTMENT\nSee attached quote/);
+});
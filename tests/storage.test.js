@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+test('memory backend', async (t) => {
+    const { app, close } = await loadApp();
+    t.after(close);
+    const backend = () => app("createStorageBackend('memory')");
+
+    await t.test('inserts rows with increasing ids and lists them newest first', async () => {
+        const storage = backend();
+        const first = await storage.insert('deals', { company_name: 'Acme' });
+        const second = await storage.insert('deals', { company_name: 'Globex' });
+        assert.equal(first.error, null);
+        assert.equal(second.data.id, first.data.id + 1);
+
+        const { data } = await storage.list('deals');
+        assert.deepEqual(plain(data).map(row => row.company_name), ['Globex', 'Acme']);
+    });
+
+    await t.test('updates and removes rows by id', async () => {
+        const storage = backend();
+        const { data: row } = await storage.insert('deals', { company_name: 'Acme', stage: 'lead' });
+
+        const { data: updated } = await storage.update('deals', row.id, { stage: 'proposal' });
+        assert.deepEqual(plain(updated), { company_name: 'Acme', stage: 'proposal', id: row.id });
+
+        await storage.remove('deals', row.id);
+        assert.deepEqual(plain((await storage.list('deals')).data), []);
+    });
+
+    await t.test('reports a missing row as an error instead of throwing', async () => {
+        const { data, error } = await backend().update('deals', 42, { stage: 'proposal' });
+        assert.equal(data, null);
+        assert.match(error.message, /No row 42/);
+    });
+
+    await t.test('applies a batch all or nothing', async () => {
+        const storage = backend();
+        const { data: row } = await storage.insert('deals', { company_name: 'Acme', stage: 'lead' });
+
+        const { data, error } = await storage.batch([
+            { type: 'update', table: 'deals', id: row.id, updates: { stage: 'proposal' } },
+            { type: 'insert', table: 'meetings', row: { deal_id: row.id } },
+            { type: 'update', table: 'deals', id: 42, updates: { stage: 'won' } }
+        ]);
+        assert.equal(data, null);
+        assert.match(error.message, /No row 42/);
+        assert.equal((await storage.list('deals')).data[0].stage, 'lead');
+        assert.deepEqual(plain((await storage.list('meetings')).data), []);
+    });
+
+    await t.test('lets later ops in a batch use an insert\'s temp id', async () => {
+        const storage = backend();
+        await storage.insert('deals', { company_name: 'Existing' });
+
+        const { data: [deal, meeting, updated] } = await storage.batch([
+            { type: 'insert', table: 'deals', id: -7, row: { company_name: 'Acme', stage: 'lead' } },
+            { type: 'insert', table: 'meetings', id: -8, row: { deal_id: -7, notes: 'Kickoff' } },
+            { type: 'update', table: 'deals', id: -7, updates: { stage: 'proposal' } }
+        ]);
+        assert.equal(deal.id, 2);
+        assert.equal(meeting.deal_id, deal.id);
+        assert.deepEqual(plain(updated), { company_name: 'Acme', stage: 'proposal', id: deal.id });
+    });
+
+    await t.test('resolveBatchTempIds only rewrites ids and *_id fields', () => {
+        const op = { type: 'update', table: 'meetings', id: -1, updates: { deal_id: -2, duration: -2 } };
+        assert.deepEqual(plain(app('resolveBatchTempIds')(op, { '-1': 10, '-2': 20 })),
+            { type: 'update', table: 'meetings', id: 10, updates: { deal_id: 20, duration: -2 } });
+    });
+
+    await t.test('keeps each backend instance separate', async () => {
+        await backend().insert('deals', { company_name: 'Acme' });
+        assert.deepEqual(plain((await backend().list('deals')).data), []);
+    });
+});
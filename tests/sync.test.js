@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadApp, plain } = require('./harness');
+
+async function setup(t) {
+    const harness = await loadApp();
+    t.after(harness.close);
+    const { app } = harness;
+
+    // Swaps some backend methods for ones that fail with `error`; returns a
+    // function that puts the real ones back
+    const breakBackend = (methods, error) => {
+        const backend = app('storageBackend');
+        const setBackend = app('(next) => { storageBackend = next; }');
+        const failing = async () => ({ data: null, error });
+        setBackend({ ...backend, ...Object.fromEntries(methods.map(method => [method, failing])) });
+        return () => setBackend(backend);
+    };
+
+    return {
+        ...harness,
+        db: app('db'),
+        syncState: app('syncState'),
+        server: () => app('storageBackend'),
+        replay: () => app('replayOutbox')(),
+        goOffline: () => breakBackend(['list', 'fetch', 'insert', 'update', 'remove', 'batch'], new TypeError('Failed to fetch')),
+        rejectWrites: (message) => breakBackend(['insert', 'update', 'remove', 'batch'], new Error(message))
+    };
+}
+
+// A server-side edit made after the app last saw the row
+const LATER = () => new Date(Date.now() + 60000).toISOString();
+
+test('offline inserts get a temp id that moves to the server id on replay', async (t) => {
+    const { app, db, syncState, replay, goOffline } = await setup(t);
+
+    const reconnect = goOffline();
+    const deal = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+    assert.ok(deal.id < 0);
+    const meeting = await db.add('meetings', { dealId: deal.id, company: 'Acme', date: '2024-03-01', notes: 'Kickoff' });
+    // Folds into the queued insert rather than queueing an update
+    await db.update('deals', deal.id, { stage: 'proposal' });
+    assert.equal(syncState.ops.length, 2);
+
+    reconnect();
+    await replay();
+    assert.equal(syncState.ops.length, 0);
+
+    const dealId = app('resolveId')(deal.id);
+    assert.ok(dealId > 0);
+    assert.deepEqual(plain(db.get('deals')).map(d => [d.id, d.stage]), [[dealId, 'proposal']]);
+
+    // The queued meeting insert was rewritten to point at the real deal
+    await app('syncFromStorage')('meetings');
+    const [saved] = db.get('meetings');
+    assert.equal(saved.id, app('resolveId')(meeting.id));
+    assert.equal(saved.dealId, dealId);
+
+    // Handlers rendered before the sync still hold the temp ids
+    const updated = await db.update('deals', deal.id, { value: 1200 });
+    assert.equal(updated.id, dealId);
+    assert.equal(updated.value, 1200);
+    assert.equal(await db.delete('meetings', meeting.id), true);
+    assert.deepEqual(plain(db.get('meetings')), []);
+});
+
+test('writes made offline stay queued until the backend is reachable', async (t) => {
+    const { db, syncState, server, replay, goOffline } = await setup(t);
+    const deal = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+
+    const reconnect = goOffline();
+    await db.update('deals', deal.id, { stage: 'proposal' });
+    await replay();
+    assert.equal(syncState.ops.length, 1);
+    assert.equal(db.get('deals')[0].stage, 'proposal');
+
+    reconnect();
+    await replay();
+    assert.equal(syncState.ops.length, 0);
+    const { data: rows } = await server().list('deals');
+    assert.equal(rows[0].stage, 'proposal');
+});
+
+test('an update to a row changed on the server since is parked as a conflict', async (t) => {
+    const { app, db, syncState, server } = await setup(t);
+    const deal = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+    await server().update('deals', deal.id, { stage: 'negotiation', updated_at: LATER() });
+
+    await db.update('deals', deal.id, { stage: 'proposal' });
+    assert.equal(syncState.ops.length, 0);
+    assert.equal(syncState.conflicts.length, 1);
+    const [conflict] = syncState.conflicts;
+    assert.equal(conflict.op.id, deal.id);
+    assert.equal(conflict.serverRow.stage, 'negotiation');
+    assert.equal(conflict.localRow.stage, 'proposal');
+    assert.equal((await server().list('deals')).data[0].stage, 'negotiation');
+
+    await t.test('keeping mine writes it over the server row', async () => {
+        await app('resolveConflict')(conflict.id, 'mine');
+        assert.equal(syncState.conflicts.length, 0);
+        assert.equal((await server().list('deals')).data[0].stage, 'proposal');
+    });
+});
+
+test('keeping the server version drops the local change', async (t) => {
+    const { app, db, syncState, server } = await setup(t);
+    const deal = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+    await server().update('deals', deal.id, { stage: 'negotiation', updated_at: LATER() });
+    await db.update('deals', deal.id, { stage: 'proposal' });
+
+    await app('resolveConflict')(syncState.conflicts[0].id, 'theirs');
+    assert.equal(syncState.conflicts.length, 0);
+    assert.equal(db.get('deals')[0].stage, 'negotiation');
+    assert.equal((await server().list('deals')).data[0].stage, 'negotiation');
+});
+
+test('a row deleted on the server conflicts with an update but not a delete', async (t) => {
+    const { db, syncState, server } = await setup(t);
+    const kept = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+    const dropped = await db.add('deals', { companyName: 'Globex', stage: 'lead' });
+    await server().remove('deals', kept.id);
+    await server().remove('deals', dropped.id);
+
+    await db.update('deals', kept.id, { stage: 'proposal' });
+    assert.equal(syncState.conflicts.length, 1);
+    assert.equal(syncState.conflicts[0].serverRow, null);
+
+    await db.delete('deals', dropped.id);
+    assert.equal(syncState.conflicts.length, 1);
+    assert.equal(syncState.ops.length, 0);
+});
+
+test('a write the backend rejects is undone and reported', async (t) => {
+    const { window, db, syncState, rejectWrites } = await setup(t);
+    const deal = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+
+    const restore = rejectWrites('violates check constraint');
+    await db.update('deals', deal.id, { stage: 'proposal' });
+    const added = await db.add('deals', { companyName: 'Globex', stage: 'lead' });
+    restore();
+
+    assert.equal(added, null);
+    assert.equal(syncState.ops.length, 0);
+    assert.deepEqual(plain(db.get('deals')).map(d => [d.companyName, d.stage]), [['Acme', 'lead']]);
+    assert.equal(window.alerts.filter(message => /violates check constraint/.test(message)).length, 2);
+});
+
+test('audit entries are sent with their write and follow its temp id', async (t) => {
+    const { app, db, server, replay, goOffline } = await setup(t);
+    const history = async (id) => plain((await server().query('audit_log', { table_name: 'deals', record_id: id })).data);
+
+    const reconnect = goOffline();
+    const deal = await db.add('deals', { companyName: 'Acme', stage: 'lead' });
+    await db.update('deals', deal.id, { stage: 'proposal' });
+    const meeting = await db.add('meetings', { dealId: deal.id, company: 'Acme', date: '2024-03-01', notes: 'Kickoff' });
+    reconnect();
+    await replay();
+
+    const dealId = app('resolveId')(deal.id);
+    assert.deepEqual((await history(dealId)).map(entry => [entry.action, entry.deal_id]), [['update', dealId], ['insert', dealId]]);
+    const { data: [meetingEntry] } = await server().query('audit_log', { table_name: 'meetings' });
+    assert.equal(meetingEntry.record_id, app('resolveId')(meeting.id));
+    assert.equal(meetingEntry.deal_id, dealId);
+
+    await t.test('a write parked as a conflict records nothing', async () => {
+        await server().update('deals', dealId, { stage: 'negotiation', updated_at: LATER() });
+        await db.update('deals', dealId, { stage: 'won' });
+        assert.equal((await history(dealId)).length, 2);
+    });
+});